@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+'use strict';
+
+const server = require('../lib/server');
+
+try {
+  server.main(process.argv.slice(2));
+} catch (e) {
+  console.error(e.message); //eslint-disable-line no-console
+  console.error(server.usage); //eslint-disable-line no-console
+  process.exitCode = 1;
+}
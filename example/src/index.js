@@ -1,11 +1,11 @@
-import Handler from './handler';
+import { Handler } from 'lambda6';
+import TestHandler from './handler';
 
 /**
- * Re-export of `Handler.handle()` that will be exposed to AWS Lambda as the
- * entry point to use when this bundle is uploaded to AWS.
+ * Entry point that will be exposed to AWS Lambda when this bundle is uploaded
+ * to AWS. `Handler.export()` creates a single `TestHandler` that is reused
+ * across warm invocations and calls `TestHandler#handle()` for every event.
  * @param {Object} event - the AWS Lambda event
  * @param {Object} context - the AWS Lambda context
  */
-export function handler(event, context) {
-  return new Handler().handle(event, context);
-}
+export const handler = Handler.export(TestHandler);
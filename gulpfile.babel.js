@@ -24,7 +24,7 @@ gulp.task('clean', () => {
 
 // Lint task
 gulp.task('lint', function () {
-  return gulp.src(['./src/**/*.js', './test/**/*.js', './index.js'])
+  return gulp.src(['./src/**/*.js', './test/**/*.js', './index.js', './http.js', './server.js', './testing.js', './bin/*.js'])
     .pipe(eslint())
     .pipe(eslint.format())
     .pipe(eslint.failAfterError());
@@ -52,6 +52,8 @@ gulp.task('--pre-test-hook', () => {
 
 // Test Task
 gulp.task('test', ['lint', '--pre-test-hook'], () => {
+  // Keep the invocation logs of handlers out of the test report
+  process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
   return gulp.src(['./test/**/*.js'])
     .pipe(mocha())
     .pipe(istanbul.writeReports({
@@ -0,0 +1,172 @@
+import Promise from 'bluebird';
+import { UnauthorizedError, ForbiddenError } from './errors';
+import { getPath } from './util';
+
+/**
+ * Claims that list the roles of a caller, in the order they are looked up.
+ * @type {string[]}
+ */
+const _roleClaims = ['cognito:groups', 'roles', 'groups'];
+
+/**
+ * The identity of the caller of an operation, which endpoints get as
+ * `this.identity` in the {@link InvocationContext} and which the `authorize`
+ * option of {@link EndpointMetadata} is checked against.
+ * @typedef {Object} Identity
+ * @property {string} type - where the identity comes from: "jwt" for the
+ * claims of a Cognito or JWT authorizer, "lambda" for the context of a Lambda
+ * authorizer, or "iam" for an IAM caller
+ * @property {string} [id] - the ID of the caller: the `sub` claim, the
+ * principal ID or the ARN of the IAM user or role
+ * @property {string[]} roles - the roles of the caller, from the
+ * `cognito:groups`, `roles` or `groups` claim
+ * @property {string[]} scopes - the OAuth scopes of the caller
+ * @property {Object} claims - the claims or the authorizer context
+ * @since 2.0.0
+ */
+
+/**
+ * Turns a claim that lists values into an array. API Gateway passes such
+ * claims as arrays, as strings separated by commas or spaces, or as strings
+ * like "[admin user]".
+ * @param {*} value - the value of the claim
+ * @return {string[]} the values
+ */
+function listClaim(value) {
+  if (Array.isArray(value)) {
+    return value.map(String);
+  }
+  if (typeof value !== 'string') {
+    return [];
+  }
+  return value.replace(/^\[|\]$/g, '').split(/[\s,]+/).filter(item => item);
+}
+
+/**
+ * Creates an {@link Identity} from the claims of an authorizer.
+ * @param {string} type - the type of identity
+ * @param {Object} claims - the claims
+ * @param {string} [id] - the ID of the caller, the `sub` claim by default
+ * @param {string[]} [scopes] - the scopes of the caller, the `scope` claim by default
+ * @return {Identity} the identity
+ */
+function claimsIdentity(type, claims, id = claims.sub, scopes = listClaim(claims.scope)) {
+  const roleClaim = _roleClaims.filter(name => claims[name] !== undefined)[0];
+  return { type, id, roles: listClaim(claims[roleClaim]), scopes, claims };
+}
+
+/**
+ * Default identity extractor, see the `identity` option in {@link HandlerOptions}.
+ * It reads the `requestContext` of API Gateway and function URL events:
+ * <ul>
+ * <li>the claims of a Cognito or JWT authorizer (REST and HTTP APIs)</li>
+ * <li>the context of a Lambda authorizer (REST and HTTP APIs)</li>
+ * <li>the IAM caller, for IAM-authorized APIs and function URLs</li>
+ * </ul>
+ * @param {Object} event - the event
+ * @return {Identity} the identity of the caller, or `undefined` if the event
+ * has none
+ * @since 2.0.0
+ */
+export function extractIdentity(event) {
+  const requestContext = getPath(event, 'requestContext') || {};
+  const authorizer = requestContext.authorizer || {};
+  if (authorizer.jwt && authorizer.jwt.claims) {
+    return claimsIdentity('jwt', authorizer.jwt.claims, undefined, authorizer.jwt.scopes || undefined);
+  }
+  if (authorizer.claims) {
+    return claimsIdentity('jwt', authorizer.claims);
+  }
+  if (authorizer.lambda) {
+    return claimsIdentity('lambda', authorizer.lambda, authorizer.lambda.principalId);
+  }
+  if (authorizer.principalId) {
+    return claimsIdentity('lambda', authorizer, authorizer.principalId);
+  }
+  const iam = authorizer.iam || requestContext.identity || {};
+  if (iam.userArn) {
+    return { type: 'iam', id: iam.userArn, roles: [], scopes: [], claims: iam };
+  }
+  return undefined;
+}
+
+/**
+ * Validates the `authorize` option of an operation, see {@link authorize}.
+ * @param {boolean|Function|Object} requirement - the requirement to validate
+ * @throws {TypeError} if the requirement or one of its fields is invalid
+ * @since 2.0.0
+ */
+export function validateAuthorization(requirement) {
+  if (requirement === true || typeof requirement === 'function') {
+    return;
+  }
+  if (requirement === null || typeof requirement !== 'object') {
+    throw new TypeError(`invalid type for operation authorize, must be true, a function or an object`);
+  }
+  const { roles, scopes, claims, check } = requirement;
+  [['roles', roles], ['scopes', scopes]].forEach(([name, values]) => {
+    if (values !== undefined && !(Array.isArray(values) && values.every(value => typeof value === 'string'))) {
+      throw new TypeError(`invalid authorize ${name}, must be an array of strings`);
+    }
+  });
+  if (claims !== undefined && (claims === null || typeof claims !== 'object')) {
+    throw new TypeError(`invalid authorize claims, must be an object`);
+  }
+  if (check !== undefined && typeof check !== 'function') {
+    throw new TypeError(`invalid authorize check, must be a function`);
+  }
+}
+
+/**
+ * Checks whether a claim of an identity matches the expected value: an array
+ * of accepted values, a predicate, or a value that the claim, or one of its
+ * listed values, must equal.
+ * @param {*} actual - the value of the claim
+ * @param {*} expected - the expected value
+ * @return {boolean} `true` if the claim matches
+ */
+function matchClaim(actual, expected) {
+  if (Array.isArray(expected)) {
+    return expected.some(value => matchClaim(actual, value));
+  }
+  if (typeof expected === 'function') {
+    return Boolean(expected(actual));
+  }
+  return actual === expected || listClaim(actual).indexOf(String(expected)) >= 0;
+}
+
+/**
+ * Checks that the caller of an operation meets its `authorize` requirement.
+ * A requirement of `true` only requires an identity. An object requires any
+ * of its `roles`, all of its `scopes`, all of its `claims` and its `check`,
+ * and a function is used as the `check`, which is given the identity and the
+ * request, and may return a promise.
+ * @param {boolean|Function|Object} requirement - the `authorize` option
+ * @param {Identity} [identity] - the identity of the caller
+ * @param {Object} request - the `operation`, `event` and `context` of the
+ * call, given to the `check`
+ * @return {Promise} that resolves if the caller is authorized, and otherwise
+ * rejects with an {@link UnauthorizedError} if there is no identity or with a
+ * {@link ForbiddenError} if the identity doesn't meet the requirement
+ * @since 2.0.0
+ */
+export function checkAuthorization(requirement, identity, request) {
+  const { operation } = request;
+  return Promise.try(() => {
+    if (!identity) {
+      throw new UnauthorizedError(`authentication required for operation "${operation}"`);
+    }
+    const { roles, scopes = [], claims = {}, check } = typeof requirement === 'function' ? { check: requirement } : requirement;
+    const userRoles = identity.roles || [];
+    const userScopes = identity.scopes || [];
+    const allowed = (!roles || roles.some(role => userRoles.indexOf(role) >= 0)) &&
+      scopes.every(scope => userScopes.indexOf(scope) >= 0) &&
+      Object.keys(claims).every(name => matchClaim((identity.claims || {})[name], claims[name]));
+    return allowed && (!check || check(identity, request));
+  })
+  .then(allowed => {
+    if (!allowed) {
+      throw new ForbiddenError(`not allowed to call operation "${operation}"`);
+    }
+  });
+}
@@ -0,0 +1,216 @@
+import Promise from 'bluebird';
+import { stableStringify } from './util';
+
+/**
+ * The defaults of a {@link CachePolicy}.
+ * @type {Object}
+ */
+const _defaultPolicy = {
+  ttl: 60000,
+  maxEntries: 1000
+};
+
+/**
+ * A cache policy declares how the results of an operation are cached. It is
+ * set as `cache` in the {@link EndpointMetadata}, or `true` for the defaults.
+ * Results are cached by operation and by what the endpoint is invoked with,
+ * and kept by the {@link Handler} across warm invocations, so the operation
+ * should be idempotent. Failures aren't cached. The key of a result must cover
+ * everything that the endpoint reads: the default key is made of the
+ * arguments of the endpoint (the payload, or the values of the `args` option),
+ * the `query` of an {@link HttpHandler} and the ID of the caller's
+ * {@link Identity}, so an endpoint that reads anything else, such as
+ * `this.headers` or the claims of the caller, needs a custom `key`.
+ * @typedef {Object} CachePolicy
+ * @property {number} [ttl] - how long a result is cached, in milliseconds,
+ * 60000 by default
+ * @property {number} [maxEntries] - the maximum number of results kept by the
+ * default {@link MemoryCache}, 1000 by default, after which the least recently
+ * used ones are evicted
+ * @property {function(payload: *, ictx: Object): *} [key] - computes what
+ * identifies a result from the payload and the `operation`, `event`,
+ * `context`, `params`, `identity` and, for an {@link HttpHandler}, `query`
+ * and `headers` of the call, for example to cache results shared by every
+ * caller or to ignore parts of the payload.
+ * @property {CacheStore} [store] - where the results are kept, a new
+ * {@link MemoryCache} by default
+ * @since 2.0.0
+ * @example
+ *
+ * @operation({ cache: { ttl: 300000, key: (payload, { headers }) => headers['accept-language'] } })
+ * getLabels() { return db.getLabels(this.headers['accept-language']); }
+ */
+
+/**
+ * A store of cached results, such as a {@link MemoryCache}. A store for an
+ * external cache can return promises from its methods. Entries are objects
+ * with the `value` and the `expires` time of the result, which are checked
+ * when they are read, so stores don't need to expire entries themselves.
+ * @typedef {Object} CacheStore
+ * @property {function(key: string): Object} get - gets an entry, or
+ * `undefined` if there is none
+ * @property {function(key: string, entry: Object, ttl: number)} set - sets an
+ * entry, which expires after `ttl` milliseconds
+ * @property {function(key: string)} delete - deletes an entry
+ * @since 2.0.0
+ */
+
+/**
+ * In-memory {@link CacheStore} that keeps a limited number of entries and
+ * evicts the least recently used one when it's full. It's the default store
+ * of a {@link CachePolicy}.
+ * @since 2.0.0
+ */
+export class MemoryCache {
+  /**
+   * Creates a new in-memory store.
+   * @param {Object} [options] - options for the store
+   * @param {number} [options.maxEntries] - the maximum number of entries,
+   * 1000 by default
+   * @throws {TypeError} if `maxEntries` isn't a positive integer
+   */
+  constructor({ maxEntries = _defaultPolicy.maxEntries } = {}) {
+    if (!(Number.isInteger(maxEntries) && maxEntries >= 1)) {
+      throw new TypeError(`invalid cache maxEntries, must be a positive integer`);
+    }
+    /** @type {number} */
+    this.maxEntries = maxEntries;
+    // Maps keep their insertion order, so the first key is the least recently used
+    this.entries = new Map();
+  }
+
+  /**
+   * The number of entries in the store.
+   * @type {number}
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Gets an entry and marks it as the most recently used.
+   * @param {string} key - the key of the entry
+   * @return {*} the entry, or `undefined` if there is none
+   */
+  get(key) {
+    if (!this.entries.has(key)) {
+      return undefined;
+    }
+    const entry = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Sets an entry, evicting the least recently used one if the store is full.
+   * @param {string} key - the key of the entry
+   * @param {*} entry - the entry
+   */
+  set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  /**
+   * Deletes an entry.
+   * @param {string} key - the key of the entry
+   */
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  /**
+   * Deletes every entry.
+   */
+  clear() {
+    this.entries.clear();
+  }
+}
+
+/**
+ * Validates a {@link CachePolicy}.
+ * @param {boolean|CachePolicy} policy - the policy to validate
+ * @throws {TypeError} if the policy or one of its options is invalid
+ * @since 2.0.0
+ */
+export function validateCachePolicy(policy) {
+  if (policy === true) {
+    return;
+  }
+  if (policy === null || typeof policy !== 'object') {
+    throw new TypeError(`invalid type for operation cache, must be true or an object`);
+  }
+  const { ttl, maxEntries, key, store } = policy;
+  if (ttl !== undefined && !(typeof ttl === 'number' && ttl > 0)) {
+    throw new TypeError(`invalid cache ttl, must be a positive number`);
+  }
+  if (maxEntries !== undefined && !(Number.isInteger(maxEntries) && maxEntries >= 1)) {
+    throw new TypeError(`invalid cache maxEntries, must be a positive integer`);
+  }
+  if (key !== undefined && typeof key !== 'function') {
+    throw new TypeError(`invalid cache key, must be a function`);
+  }
+  const methods = ['get', 'set', 'delete'];
+  if (store !== undefined && !(store && methods.every(method => typeof store[method] === 'function'))) {
+    throw new TypeError(`invalid cache store, must have ${methods.join(', ')} methods`);
+  }
+}
+
+/**
+ * Gets the default key of a call, see {@link CachePolicy}.
+ * @param {Object} ictx - the values of the call
+ * @param {Array} args - the arguments of the endpoint
+ * @return {Object} what identifies the result
+ */
+function defaultKey(ictx, args) {
+  return { args, query: ictx.query, caller: ictx.identity && ictx.identity.id };
+}
+
+/**
+ * The cache of the results of one operation, following its {@link CachePolicy}.
+ * {@link Handler} creates one per operation when it is first dispatched to.
+ * @private
+ * @since 2.0.0
+ */
+export class ResponseCache {
+  /**
+   * @param {boolean|CachePolicy} policy - the `cache` option of the operation
+   */
+  constructor(policy) {
+    const { ttl, maxEntries, key, store } = Object.assign({}, _defaultPolicy, policy === true ? {} : policy);
+    this.ttl = ttl;
+    this.key = key;
+    this.store = store || new MemoryCache({ maxEntries });
+  }
+
+  /**
+   * Gets the cached result of a call, or else calls `fn` and caches its result.
+   * @param {Object} ictx - the `operation`, `event`, `context`, `params`,
+   * `identity` and, for an {@link HttpHandler}, `query` and `headers` of the call
+   * @param {*} payload - the payload of the call
+   * @param {Array} args - the arguments that the endpoint is invoked with
+   * @param {Function} fn - invokes the endpoint
+   * @return {Promise} that resolves to the cached result or to the result of
+   * `fn`, along with whether it was cached, as `{ value, hit }`
+   */
+  wrap(ictx, payload, args, fn) {
+    return Promise.try(() => {
+      const key = `${ictx.operation} ${stableStringify(this.key ? this.key(payload, ictx) : defaultKey(ictx, args))}`;
+      return Promise.resolve(this.store.get(key)).then(entry => {
+        if (entry && entry.expires > Date.now()) {
+          return { value: entry.value, hit: true };
+        }
+        return Promise.resolve(entry && this.store.delete(key))
+        .then(fn)
+        .then(value => {
+          return Promise.resolve(this.store.set(key, { value, expires: Date.now() + this.ttl }, this.ttl))
+          .return({ value, hit: false });
+        });
+      });
+    });
+  }
+}
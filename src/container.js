@@ -0,0 +1,198 @@
+/**
+ * Lifetimes of a service: "singleton" services are created once per
+ * {@link Container}, so they are kept across warm invocations, and
+ * "invocation" services are created once per invocation.
+ * @type {string[]}
+ */
+const _lifetimes = ['singleton', 'invocation'];
+
+/**
+ * Resolves services for one invocation, which share the instances of the
+ * services with the "invocation" lifetime. Endpoints get one as
+ * `this.services` in the {@link InvocationContext}, and factories are given
+ * one to get the services they depend on.
+ */
+class Scope {
+  /**
+   * @param {Container} container - the container of the services
+   */
+  constructor(container) {
+    this.container = container;
+    this.instances = {};
+    this.resolving = [];
+  }
+
+  /**
+   * Gets a service, creating it if needed.
+   * @param {string} name - the name of the service
+   * @return {*} the service
+   * @throws {Error} if the service isn't registered or depends on itself
+   */
+  get(name) {
+    return this.container.resolve(name, this);
+  }
+}
+
+/**
+ * Container of the services that endpoints depend on, such as database clients
+ * and configuration, so that endpoints don't reach for module-level singletons
+ * and tests can replace the services with {@link Container#override}. Every
+ * {@link Handler} has one as `this.services`, see the `services` option.
+ * @since 2.0.0
+ * @example
+ *
+ * const container = new Container({
+ *   config: { value: { table: 'users' } },
+ *   db: scope => new Database(scope.get('config')),
+ *   session: { factory: () => new Session(), lifetime: 'invocation' }
+ * });
+ * container.get('db').query('...');
+ */
+export class Container {
+  /**
+   * Creates a new container.
+   * @param {Object} [definitions] - the services to register, by name. Each is
+   * a factory function for a singleton, `{ factory, lifetime }`, or
+   * `{ value }` for a constant, see {@link Container#register}.
+   * @throws {TypeError} if a definition is invalid
+   */
+  constructor(definitions = {}) {
+    this.definitions = {};
+    this.overrides = {};
+    this.singletons = {};
+    Object.keys(definitions).forEach(name => {
+      const definition = definitions[name];
+      if (typeof definition === 'function') {
+        this.register(name, definition);
+      } else if (definition && definition.hasOwnProperty('value')) {
+        this.value(name, definition.value);
+      } else if (definition && typeof definition.factory === 'function') {
+        this.register(name, definition.factory, definition);
+      } else {
+        throw new TypeError(`invalid definition for service "${name}", must be a function, { factory } or { value }`);
+      }
+    });
+  }
+
+  /**
+   * Registers a service, replacing any service with the same name.
+   * @param {string} name - the name of the service
+   * @param {function(scope: Object)} factory - creates the service, and is
+   * given a scope whose `get(name)` method returns the services it depends on
+   * @param {Object} [options] - options for the service
+   * @param {string} [options.lifetime] - "singleton" to create the service
+   * once, or "invocation" to create it once per invocation. The default is
+   * "singleton".
+   * @return {Container} this container
+   * @throws {TypeError} if the name, factory or lifetime is invalid
+   */
+  register(name, factory, { lifetime = 'singleton' } = {}) {
+    if (typeof name !== 'string' || !name) {
+      throw new TypeError(`invalid service name, must be a non-empty string`);
+    }
+    if (typeof factory !== 'function') {
+      throw new TypeError(`invalid factory for service "${name}", must be a function`);
+    }
+    if (_lifetimes.indexOf(lifetime) < 0) {
+      throw new TypeError(`invalid lifetime for service "${name}", must be one of ${_lifetimes.join(', ')}`);
+    }
+    this.definitions[name] = { factory, lifetime };
+    delete this.singletons[name];
+    return this;
+  }
+
+  /**
+   * Registers a constant as a singleton service.
+   * @param {string} name - the name of the service
+   * @param {*} value - the service
+   * @return {Container} this container
+   */
+  value(name, value) {
+    return this.register(name, () => value);
+  }
+
+  /**
+   * Replaces a service with a value until {@link Container#restore} is called,
+   * typically with a fake in tests. The service doesn't need to be registered.
+   * @param {string} name - the name of the service
+   * @param {*} value - the value that the service resolves to
+   * @return {Container} this container
+   */
+  override(name, value) {
+    this.overrides[name] = value;
+    return this;
+  }
+
+  /**
+   * Removes the overrides of {@link Container#override}.
+   * @param {string} [name] - the service to restore, or else all of them
+   * @return {Container} this container
+   */
+  restore(name) {
+    if (name === undefined) {
+      this.overrides = {};
+    } else {
+      delete this.overrides[name];
+    }
+    return this;
+  }
+
+  /**
+   * Checks whether a service is registered or overridden.
+   * @param {string} name - the name of the service
+   * @return {boolean} `true` if the service can be resolved
+   */
+  has(name) {
+    return this.overrides.hasOwnProperty(name) || this.definitions.hasOwnProperty(name);
+  }
+
+  /**
+   * Creates a scope for an invocation.
+   * @return {Object} a scope, whose `get(name)` method returns services
+   */
+  createScope() {
+    return new Scope(this);
+  }
+
+  /**
+   * Gets a service outside of an invocation. Services with the "invocation"
+   * lifetime are created anew on every call.
+   * @param {string} name - the name of the service
+   * @return {*} the service
+   * @throws {Error} if the service isn't registered or depends on itself
+   */
+  get(name) {
+    return this.createScope().get(name);
+  }
+
+  /**
+   * Resolves a service within a scope.
+   * @param {string} name - the name of the service
+   * @param {Scope} scope - the scope of the invocation
+   * @return {*} the service
+   * @throws {Error} if the service isn't registered or depends on itself
+   * @private
+   */
+  resolve(name, scope) {
+    if (this.overrides.hasOwnProperty(name)) {
+      return this.overrides[name];
+    }
+    if (!this.definitions.hasOwnProperty(name)) {
+      throw new Error(`service "${name}" is not registered`);
+    }
+    const { factory, lifetime } = this.definitions[name];
+    const instances = lifetime === 'singleton' ? this.singletons : scope.instances;
+    if (!instances.hasOwnProperty(name)) {
+      if (scope.resolving.indexOf(name) >= 0) {
+        throw new Error(`circular dependency between services: ${scope.resolving.concat(name).join(' -> ')}`);
+      }
+      scope.resolving.push(name);
+      try {
+        instances[name] = factory(scope);
+      } finally {
+        scope.resolving.pop();
+      }
+    }
+    return instances[name];
+  }
+}
@@ -0,0 +1,76 @@
+import crypto from 'crypto';
+
+/**
+ * Number of random bytes in a request ID.
+ * @type {number}
+ */
+const _requestIdBytes = 16;
+
+/**
+ * Default timeout of a function, which is the AWS Lambda default of 3 seconds.
+ * @type {number}
+ */
+const _defaultTimeout = 3000;
+
+/**
+ * Default memory size of a function, in MB.
+ * @type {number}
+ */
+const _defaultMemory = 128;
+
+/**
+ * Creates a random request ID in the UUID format used by AWS Lambda.
+ * @return {string} the request ID
+ */
+function requestId() {
+  const hex = crypto.randomBytes(_requestIdBytes).toString('hex');
+  return hex.replace(/^(.{8})(.{4}).(.{3})(.{4})(.{12})$/, '$1-$2-4$3-$4-$5');
+}
+
+/**
+ * Creates an {@link AWSLambdaContext} for running handlers outside of AWS
+ * Lambda, such as in the dev server (see {@link createServer}) or in tests.
+ * The context has the properties of a real one, and its
+ * `getRemainingTimeInMillis()` counts down from `timeout` from the moment the
+ * context is created. No AWS dependency or credentials are needed.
+ * @param {Object} [options] - options for the context
+ * @param {string} [options.functionName] - the name of the function, "lambda6"
+ * by default
+ * @param {number} [options.timeout] - the timeout of the invocation in
+ * milliseconds, 3000 by default
+ * @param {number} [options.memoryLimitInMB] - the memory size of the function,
+ * 128 by default
+ * @param {string} [options.awsRequestId] - the request ID, random by default
+ * @param {Function} [options.now] - gets the current time in milliseconds,
+ * `Date.now` by default
+ * @return {AWSLambdaContext} the context
+ * @since 2.0.0
+ * @example
+ *
+ * const context = createContext({ timeout: 10000 });
+ * context.getRemainingTimeInMillis(); // 10000
+ */
+export function createContext(options = {}) {
+  const {
+    functionName = 'lambda6',
+    timeout = _defaultTimeout,
+    memoryLimitInMB = _defaultMemory,
+    awsRequestId = requestId(),
+    now = Date.now
+  } = options;
+  const deadline = now() + timeout;
+  const date = new Date(now()).toISOString().slice(0, 10).replace(/-/g, '/'); //eslint-disable-line no-magic-numbers
+  return {
+    functionName,
+    functionVersion: '$LATEST',
+    invokedFunctionArn: `arn:aws:lambda:local:000000000000:function:${functionName}`,
+    memoryLimitInMB: String(memoryLimitInMB),
+    awsRequestId,
+    logGroupName: `/aws/lambda/${functionName}`,
+    logStreamName: `${date}/[$LATEST]${awsRequestId.replace(/-/g, '')}`,
+    callbackWaitsForEmptyEventLoop: true,
+    getRemainingTimeInMillis() {
+      return Math.max(0, deadline - now());
+    }
+  };
+}
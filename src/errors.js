@@ -0,0 +1,195 @@
+/**
+ * Base class for the errors thrown by {@link Handler}. Each error class has a
+ * machine-readable `code` and an HTTP-ish `status` on its prototype, so callers
+ * can branch on the kind of failure instead of parsing messages. Endpoints are
+ * encouraged to throw these (or subclasses of them) as well.
+ * @extends {Error}
+ * @since 2.0.0
+ * @example
+ *
+ * class ConflictError extends HandlerError {}
+ * ConflictError.prototype.name = 'ConflictError';
+ * ConflictError.prototype.code = 'CONFLICT';
+ * ConflictError.prototype.status = 409;
+ */
+export class HandlerError {
+  /**
+   * Creates a new error.
+   * @param {string} message - the error message
+   * @param {Object} [details] - additional data that is included when the
+   * error is serialized
+   */
+  constructor(message, details) {
+    /** @type {string} */
+    this.message = message;
+    /** @type {Object} */
+    this.details = details;
+    /* istanbul ignore else */
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, this.constructor);
+    } else {
+      this.stack = new Error(message).stack;
+    }
+  }
+
+  /**
+   * Converts any thrown value to a {@link HandlerError}. Instances of
+   * {@link HandlerError} are returned as-is and anything else is wrapped in an
+   * {@link InternalError}, which keeps the original value as its `cause`.
+   * @param {*} error - the thrown value
+   * @return {HandlerError} the converted error
+   */
+  static from(error) {
+    if (error instanceof HandlerError) {
+      return error;
+    }
+    const message = error instanceof Error ? error.message : String(error);
+    const internal = new InternalError(message); //eslint-disable-line no-use-before-define
+    internal.cause = error;
+    return internal;
+  }
+
+  /**
+   * Gets the body of the JSON envelope for this error, see {@link serializeError}.
+   * @return {Object} with `name`, `code`, `status`, `message` and optionally `details`
+   */
+  toJSON() {
+    const json = { name: this.name, code: this.code, status: this.status, message: this.message };
+    if (this.details !== undefined) {
+      json.details = this.details;
+    }
+    return json;
+  }
+}
+// Babel can't extend built-ins like Error, so the prototype chain is linked here
+Object.setPrototypeOf(HandlerError.prototype, Error.prototype);
+Object.assign(HandlerError.prototype, { name: 'HandlerError', code: 'INTERNAL', status: 500 });
+
+/**
+ * Error thrown when an event can't be handled because of the way it was
+ * formed, for example when the operation is missing.
+ * @since 2.0.0
+ */
+export class BadRequestError extends HandlerError {}
+Object.assign(BadRequestError.prototype, { name: 'BadRequestError', code: 'BAD_REQUEST', status: 400 });
+
+/**
+ * Error thrown when a value doesn't match the schema declared for it in the
+ * {@link EndpointMetadata}. Every failing path is listed in `errors`, so callers
+ * can report all of the problems with their input at once.
+ * @since 2.0.0
+ * @example
+ *
+ * try {
+ *   // ...
+ * } catch (e) {
+ *   if (e instanceof ValidationError) {
+ *     e.errors; // [{ path: 'payload.id', message: 'is required' }]
+ *   }
+ * }
+ */
+export class ValidationError extends BadRequestError {
+  /**
+   * Creates a new validation error.
+   * @param {string} message - the error message
+   * @param {Array} [errors] - the `{ path, message }` objects describing each failure
+   */
+  constructor(message, errors = []) {
+    super(message, { errors });
+    /** @type {Array} */
+    this.errors = errors;
+  }
+}
+Object.assign(ValidationError.prototype, { name: 'ValidationError', code: 'VALIDATION_FAILED', status: 400 });
+
+/**
+ * Error thrown when the caller of an operation can't be identified.
+ * @since 2.0.0
+ */
+export class UnauthorizedError extends HandlerError {}
+Object.assign(UnauthorizedError.prototype, { name: 'UnauthorizedError', code: 'UNAUTHORIZED', status: 401 });
+
+/**
+ * Error thrown when the caller of an operation is identified but isn't allowed
+ * to call it.
+ * @since 2.0.0
+ */
+export class ForbiddenError extends HandlerError {}
+Object.assign(ForbiddenError.prototype, { name: 'ForbiddenError', code: 'FORBIDDEN', status: 403 });
+
+/**
+ * Error thrown when no {@link Endpoint} can be found for an operation.
+ * @since 2.0.0
+ */
+export class NotFoundError extends HandlerError {}
+Object.assign(NotFoundError.prototype, { name: 'NotFoundError', code: 'NOT_FOUND', status: 404 });
+
+/**
+ * Error thrown when an operation conflicts with another one, such as a repeat
+ * of an idempotent call that is still in progress.
+ * @since 2.0.0
+ */
+export class ConflictError extends HandlerError {}
+Object.assign(ConflictError.prototype, { name: 'ConflictError', code: 'CONFLICT', status: 409 });
+
+/**
+ * Error used for unexpected failures. Errors that aren't a {@link HandlerError}
+ * are wrapped in this class when they are serialized.
+ * @since 2.0.0
+ */
+export class InternalError extends HandlerError {}
+Object.assign(InternalError.prototype, { name: 'InternalError', code: 'INTERNAL', status: 500 });
+
+/**
+ * Error for operations that are declared but not implemented yet, typically
+ * returned by a getter endpoint.
+ * @since 2.0.0
+ * @example
+ *
+ * @operation
+ * get deleteUser() { return new NotImplementedError('not yet implemented'); }
+ */
+export class NotImplementedError extends HandlerError {}
+Object.assign(NotImplementedError.prototype, { name: 'NotImplementedError', code: 'NOT_IMPLEMENTED', status: 501 });
+
+/**
+ * Error thrown when an operation doesn't finish in time, either within its
+ * `timeout` or before AWS Lambda would stop the invocation, see {@link Handler#invoke}.
+ * @since 2.0.0
+ */
+export class TimeoutError extends HandlerError {}
+Object.assign(TimeoutError.prototype, { name: 'TimeoutError', code: 'TIMEOUT', status: 504 });
+
+/**
+ * Error thrown when {@link Handler#init} fails, which keeps the original error
+ * as its `cause`. Initialization is attempted again on the next invocation.
+ * @since 2.0.0
+ */
+export class InitializationError extends InternalError {}
+Object.assign(InitializationError.prototype, { name: 'InitializationError', code: 'INITIALIZATION_FAILED', status: 500 });
+
+/**
+ * Default error serializer, which turns any thrown value into a consistent JSON
+ * envelope of the form `{ error: { name, code, status, message, details } }`.
+ * Values that aren't a {@link HandlerError} are reported as an {@link InternalError}.
+ * @param {*} error - the thrown value
+ * @return {Object} the JSON envelope
+ * @since 2.0.0
+ * @example
+ *
+ * serializeError(new NotFoundError('endpoint not found for operation "x"'));
+ * // { error: { name: 'NotFoundError', code: 'NOT_FOUND', status: 404, message: '...' } }
+ */
+export function serializeError(error) {
+  return { error: HandlerError.from(error).toJSON() };
+}
+
+/**
+ * The lowest `status` of server errors, such as an {@link InternalError}.
+ * Errors with a lower status are the caller's fault: they aren't retried by
+ * default (see {@link RetryPolicy}), and an {@link HttpHandler} doesn't log
+ * them as failures.
+ * @type {number}
+ * @since 2.0.0
+ */
+export const serverErrorStatus = 500;
@@ -0,0 +1,246 @@
+import Promise from 'bluebird';
+import { getPath } from './util';
+import { Handler, operation, HandlerError, BadRequestError, SpanStatusCode, serializeError } from './index';
+import { serverErrorStatus } from './errors';
+
+/**
+ * Response headers used for JSON bodies.
+ * @type {Object}
+ */
+const _jsonHeaders = { 'content-type': 'application/json' };
+
+/**
+ * Builds the operation name of an HTTP route, e.g. `GET /users/{id}`. Trailing
+ * slashes are removed from the path, except for the root path.
+ * @param {string} method - the HTTP method
+ * @param {string} path - the request path or route template
+ * @return {string} the operation name
+ */
+function routeName(method, path) {
+  return `${method.toUpperCase()} ${path.replace(/\/+$/, '') || '/'}`;
+}
+
+/**
+ * Gets the operation name of an HTTP event. API Gateway REST API (v1) events
+ * carry `httpMethod` and `path`, while HTTP API (v2) and Lambda function URL
+ * events carry `requestContext.http.method` and `rawPath`.
+ * @param {Object} event - the HTTP event
+ * @return {string} the operation name, or `undefined` if the event isn't an
+ * HTTP event
+ */
+function requestOperation(event) {
+  const method = event.httpMethod || getPath(event, 'requestContext.http.method');
+  const path = event.path || event.rawPath;
+  if (method && path) {
+    return routeName(method, path);
+  }
+}
+
+/**
+ * Copies headers with their names in lower case, since HTTP header names are
+ * case-insensitive.
+ * @param {Object} [headers] - the headers of the event
+ * @return {Object} the normalized headers
+ */
+function normalizeHeaders(headers) {
+  return Object.keys(headers || {}).reduce((normalized, name) => {
+    normalized[name.toLowerCase()] = headers[name];
+    return normalized;
+  }, {});
+}
+
+/**
+ * Parses the body of an HTTP event. JSON bodies, which is what is assumed when
+ * there is no `content-type` header, are parsed. Other bodies are passed as a
+ * string, or as a `Buffer` if API Gateway encoded them in base64.
+ * @param {Object} event - the HTTP event
+ * @param {Object} headers - the normalized headers of the event
+ * @return {*} the parsed body, or `undefined` if the event has no body
+ * @throws {BadRequestError} if a JSON body is invalid
+ */
+function parseBody(event, headers) {
+  const { body, isBase64Encoded } = event;
+  if (body === undefined || body === null || body === '') {
+    return;
+  }
+  const buffer = isBase64Encoded ? Buffer.from(body, 'base64') : null;
+  if (!/[\/+]json\b/.test(headers['content-type'] || 'application/json')) {
+    return buffer || body;
+  }
+  try {
+    return JSON.parse(buffer ? buffer.toString('utf8') : body);
+  } catch (e) {
+    throw new BadRequestError(`invalid JSON body: ${e.message}`);
+  }
+}
+
+/**
+ * Turns the result of an endpoint into an HTTP response. Results that have a
+ * `statusCode` are treated as a response already, `undefined` becomes an empty
+ * 204 response and anything else a 200 response with a JSON body.
+ * @param {*} result - the result of the endpoint
+ * @return {Object} the `{ statusCode, headers, body }` response
+ */
+function toResponse(result) {
+  if (result !== null && typeof result === 'object' && 'statusCode' in result) {
+    const { body } = result;
+    if (body === undefined || typeof body === 'string') {
+      return result;
+    }
+    const headers = Object.assign({}, _jsonHeaders, result.headers);
+    return Object.assign({}, result, { headers, body: JSON.stringify(body) });
+  }
+  if (result === undefined) {
+    return { statusCode: 204, headers: {}, body: '' };
+  }
+  return { statusCode: 200, headers: Object.assign({}, _jsonHeaders), body: JSON.stringify(result) };
+}
+
+/**
+ * Route decorator for {@link HttpHandler} methods. It's a shortcut for the
+ * {@link operation} decorator, whose name is the HTTP method and path of the
+ * route, such as `GET /users/{id}`. Path parameters in braces are captured and
+ * exposed as `this.params`. The route is also stored as `route` in the
+ * {@link EndpointMetadata}, so it's listed by {@link Handler#listOperations}.
+ * @param {string} method - the HTTP method, e.g. `GET`
+ * @param {string} path - the path of the route, which must start with `/`
+ * @param {Object} [options] - other options for the endpoint, see {@link operation}
+ * @return {Function} the decorator
+ * @throws {TypeError} if the method, path or options are invalid
+ * @since 2.0.0
+ * @example
+ *
+ * class UserHandler extends HttpHandler {
+ *
+ *   @route('GET', '/users/{id}')
+ *   getUser() { return db.getUser(this.params.id); }
+ *
+ * }
+ */
+export function route(method, path, options = {}) {
+  if (typeof method !== 'string' || !/^[a-z]+$/i.test(method)) {
+    throw new TypeError(`invalid HTTP method "${method}"`);
+  }
+  if (typeof path !== 'string' || path[0] !== '/') {
+    throw new TypeError(`invalid HTTP path "${path}", must start with "/"`);
+  }
+  const name = routeName(method, path);
+  return operation(Object.assign({}, options, { name, route: { method: method.toUpperCase(), path } }));
+}
+
+/**
+ * A {@link Handler} for HTTP events from API Gateway (REST and HTTP APIs) and
+ * Lambda function URLs. The operation of an event is its HTTP method and path,
+ * which is matched against the {@link route} of each endpoint. The endpoint is
+ * invoked with the parsed body as its payload, and in addition to the
+ * URL-decoded `this.params`, the {@link InvocationContext} has the `query`
+ * string parameters and the `headers`, with lower case names. The outcome is always a successful
+ * `{ statusCode, headers, body }` response, so errors become responses with the
+ * `status` of the error (see {@link HandlerError}) and the error envelope of
+ * `serializeErrors` (or {@link serializeError}) as the body.
+ * @extends {Handler}
+ * @since 2.0.0
+ * @example
+ *
+ * import { HttpHandler, route } from 'lambda6/http';
+ *
+ * class UserHandler extends HttpHandler {
+ *
+ *   @route('POST', '/users')
+ *   createUser(user) { return db.createUser(user).then(item => ({ statusCode: 201, body: item })); }
+ *
+ *   @route('GET', '/users')
+ *   findUsers() { return db.findUsers({ limit: this.query.limit }); }
+ *
+ * }
+ *
+ * export const handler = Handler.export(UserHandler, { style: 'async' });
+ */
+export class HttpHandler extends Handler {
+
+  /**
+   * Gets the default options for a new {@link HttpHandler} instance, which
+   * extract the operation from the HTTP method and path of the event.
+   * @type {HandlerOptions}
+   * @since 2.0.0
+   */
+  static get defaultOptions() {
+    return Object.assign({}, Handler.defaultOptions, { operationKey: requestOperation });
+  }
+
+  /**
+   * Dispatches an HTTP event, see {@link Handler#dispatch}, after parsing its
+   * body, query string parameters and headers. The result, or the error, is
+   * turned into an HTTP response. Since the invocation succeeds either way,
+   * errors are logged here: server errors at the error level, which also
+   * marks the span of the handler as failed, and client errors at the info
+   * level.
+   * @param {Object} request - what to dispatch, see {@link Handler#dispatch}
+   * @param {...args} [args] - additional arguments for the endpoint
+   * @return {Promise} that resolves to the `{ statusCode, headers, body }` response
+   * @private
+   * @since 2.0.0
+   */
+  dispatch(request, ...args) {
+    return Promise.try(() => {
+      const { event } = request;
+      const headers = normalizeHeaders(event.headers);
+      const query = Object.assign({}, event.queryStringParameters);
+      const payload = parseBody(event, headers);
+      return super.dispatch(Object.assign({}, request, { payload, query, headers }), ...args);
+    })
+    .then(toResponse, error => {
+      const response = this.errorResponse(error);
+      const { statusCode } = response;
+      const log = this.invocationLogger(request.operation, request.context);
+      if (statusCode >= serverErrorStatus) {
+        log.error('request failed', { statusCode, error });
+        if (request.span) {
+          request.span.recordException(error);
+          request.span.setStatus({ code: SpanStatusCode.ERROR, message: error && error.message });
+        }
+      } else {
+        log.info('request rejected', { statusCode, error });
+      }
+      return response;
+    });
+  }
+
+  /**
+   * Decodes the path parameters captured from the request path, which is
+   * URL-encoded, as API Gateway does for its own `pathParameters`.
+   * @param {Object} params - the captured path parameters
+   * @return {Object} the decoded path parameters
+   * @throws {BadRequestError} if a parameter isn't validly encoded
+   * @private
+   * @since 2.0.0
+   */
+  decodeParams(params) {
+    return Object.keys(params).reduce((decoded, name) => {
+      try {
+        decoded[name] = decodeURIComponent(params[name]);
+      } catch (e) {
+        throw new BadRequestError(`invalid path parameter "${name}": ${e.message}`);
+      }
+      return decoded;
+    }, {});
+  }
+
+  /**
+   * Turns an error into an HTTP response whose status code is the `status` of
+   * the error, see {@link HandlerError.from}, and whose body is the serialized
+   * error.
+   * @param {*} error - the thrown value
+   * @return {Object} the `{ statusCode, headers, body }` response
+   * @since 2.0.0
+   */
+  errorResponse(error) {
+    const { serializeErrors } = this.options;
+    const serializer = typeof serializeErrors === 'function' ? serializeErrors : serializeError;
+    return {
+      statusCode: HandlerError.from(error).status,
+      headers: Object.assign({}, _jsonHeaders),
+      body: JSON.stringify(serializer(error))
+    };
+  }
+}
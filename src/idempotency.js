@@ -0,0 +1,231 @@
+import Promise from 'bluebird';
+import { ConflictError } from './errors';
+import { getPath, stableStringify } from './util';
+
+/**
+ * The defaults of an {@link IdempotencyPolicy}.
+ * @type {Object}
+ */
+const _defaultPolicy = {
+  ttl: 3600000
+};
+
+/**
+ * The states of an idempotent call: "IN_PROGRESS" while the endpoint runs,
+ * "COMPLETED" once its result is stored, and "EXPIRED" once the record is
+ * older than its `expires` time, after which the call runs again.
+ * @type {Object}
+ * @since 2.0.0
+ */
+export const IdempotencyStatus = {
+  IN_PROGRESS: 'IN_PROGRESS',
+  COMPLETED: 'COMPLETED',
+  EXPIRED: 'EXPIRED'
+};
+
+/**
+ * An idempotency policy makes repeats of an operation, such as an event that
+ * AWS Lambda delivers twice, return the result of the first call instead of
+ * running the endpoint again. It is set as `idempotency` in the
+ * {@link EndpointMetadata}, either as the `key` alone or as an object.
+ * @typedef {Object} IdempotencyPolicy
+ * @property {string|Function} key - the path of the idempotency key in the
+ * event, or a function that is given the event and returns it (see
+ * {@link getPath}). Events without a key aren't de-duplicated. The names of
+ * the `headers` of an {@link HttpHandler} are in lower case.
+ * @property {number} [ttl] - how long the result of a call is kept, in
+ * milliseconds, 3600000 (an hour) by default
+ * @property {IdempotencyStore} [store] - where the records of the calls are
+ * kept, the `idempotencyStore` of {@link HandlerOptions} by default
+ * @since 2.0.0
+ * @example
+ *
+ * @route('POST', '/orders', { idempotency: 'headers.idempotency-key' })
+ * createOrder(order) { return db.createOrder(order); }
+ */
+
+/**
+ * The record of an idempotent call that an {@link IdempotencyStore} keeps.
+ * @typedef {Object} IdempotencyRecord
+ * @property {string} status - "IN_PROGRESS" or "COMPLETED", see {@link IdempotencyStatus}
+ * @property {number} expires - the time after which the record is expired,
+ * in milliseconds since the epoch
+ * @property {*} [value] - the result of the call, once it's completed
+ * @since 2.0.0
+ */
+
+/**
+ * Persists the records of idempotent calls, such as an
+ * {@link InMemoryIdempotencyStore}. A store for a database, such as DynamoDB,
+ * lets every instance of the function see the calls of the others, and can
+ * return promises from its methods.
+ * @typedef {Object} IdempotencyStore
+ * @property {function(key: string, record: IdempotencyRecord): IdempotencyRecord} claim -
+ * saves the record of a call that is starting unless there is already a
+ * record for the key that isn't expired, which it returns instead. This must
+ * be atomic, for example a conditional write, so that concurrent repeats
+ * don't both run.
+ * @property {function(key: string, record: IdempotencyRecord)} put - saves
+ * the record of a completed call
+ * @property {function(key: string)} delete - deletes the record of a failed
+ * call, so that the call can be retried
+ * @since 2.0.0
+ */
+
+/**
+ * Gets the status of a record at a given time.
+ * @param {IdempotencyRecord} record - the record
+ * @param {number} [now] - the time, in milliseconds since the epoch, now by default
+ * @return {string} the status, see {@link IdempotencyStatus}
+ * @since 2.0.0
+ */
+export function recordStatus(record, now = Date.now()) {
+  return record.expires <= now ? IdempotencyStatus.EXPIRED : record.status;
+}
+
+/**
+ * {@link IdempotencyStore} that keeps the records in memory. Since every
+ * instance of a function has its own memory, it only catches the repeats that
+ * the same instance handles, which makes it meant for tests and local
+ * development. It's the default `idempotencyStore` of {@link HandlerOptions}.
+ * @since 2.0.0
+ */
+export class InMemoryIdempotencyStore {
+  /**
+   * Creates a new in-memory store.
+   */
+  constructor() {
+    this.records = new Map();
+  }
+
+  /**
+   * Gets the record of a key.
+   * @param {string} key - the idempotency key
+   * @return {IdempotencyRecord} the record, or `undefined` if there is none
+   */
+  get(key) {
+    return this.records.get(key);
+  }
+
+  /**
+   * Saves a record unless there is a record for the key that isn't expired.
+   * @param {string} key - the idempotency key
+   * @param {IdempotencyRecord} record - the record of the call that is starting
+   * @return {IdempotencyRecord} the existing record, or `undefined` if the
+   * record was saved
+   */
+  claim(key, record) {
+    const existing = this.records.get(key);
+    if (existing && recordStatus(existing) !== IdempotencyStatus.EXPIRED) {
+      return existing;
+    }
+    this.records.set(key, record);
+    return undefined;
+  }
+
+  /**
+   * Saves a record.
+   * @param {string} key - the idempotency key
+   * @param {IdempotencyRecord} record - the record of the completed call
+   */
+  put(key, record) {
+    this.records.set(key, record);
+  }
+
+  /**
+   * Deletes a record.
+   * @param {string} key - the idempotency key
+   */
+  delete(key) {
+    this.records.delete(key);
+  }
+
+  /**
+   * Deletes every record.
+   */
+  clear() {
+    this.records.clear();
+  }
+}
+
+/**
+ * Checks whether a value is an {@link IdempotencyStore}.
+ * @param {*} store - the value to check
+ * @return {boolean} `true` if the value has the methods of a store
+ * @since 2.0.0
+ */
+export function isIdempotencyStore(store) {
+  return Boolean(store) && ['claim', 'put', 'delete'].every(method => typeof store[method] === 'function');
+}
+
+/**
+ * Validates an {@link IdempotencyPolicy}.
+ * @param {string|Function|IdempotencyPolicy} policy - the policy to validate
+ * @throws {TypeError} if the policy or one of its options is invalid
+ * @since 2.0.0
+ */
+export function validateIdempotencyPolicy(policy) {
+  const { key, ttl, store } = policy !== null && typeof policy === 'object' ? policy : { key: policy };
+  if (!(typeof key === 'function' || (typeof key === 'string' && key))) {
+    throw new TypeError(`invalid idempotency key, must be a path or a function`);
+  }
+  if (ttl !== undefined && !(typeof ttl === 'number' && ttl > 0)) {
+    throw new TypeError(`invalid idempotency ttl, must be a positive number`);
+  }
+  if (store !== undefined && !isIdempotencyStore(store)) {
+    throw new TypeError(`invalid idempotency store, must have claim, put and delete methods`);
+  }
+}
+
+/**
+ * Calls `fn` once per idempotency key. The first call with a key saves an
+ * "IN_PROGRESS" record, which is replaced by a "COMPLETED" record with the
+ * result once `fn` succeeds, or deleted if it fails so that the call can be
+ * retried. Repeats get the result of the completed call until its record
+ * expires, and fail with a {@link ConflictError} while it's in progress.
+ * Calls without a key aren't de-duplicated.
+ * @param {string|Function|IdempotencyPolicy} policy - the `idempotency`
+ * option of the operation
+ * @param {Object} request - the call
+ * @param {string} request.operation - the operation being called
+ * @param {Object} request.event - the event, which holds the idempotency key
+ * @param {IdempotencyStore} request.store - the store to use unless the
+ * policy has one
+ * @param {number} [request.timeout] - how long the call may stay in
+ * progress, in milliseconds, after which a repeat runs again; the `ttl` of
+ * the policy by default
+ * @param {Function} fn - invokes the endpoint
+ * @return {Promise} that resolves to `{ value, key, repeated }`: the result,
+ * the idempotency key, or `undefined` if the event has none, and whether the
+ * result is the one of an earlier call
+ * @since 2.0.0
+ */
+export function callIdempotent(policy, { operation, event, store, timeout }, fn) {
+  const options = Object.assign({}, _defaultPolicy, policy !== null && typeof policy === 'object' ? policy : { key: policy });
+  const records = options.store || store;
+  return Promise.try(() => {
+    const value = getPath(event, options.key);
+    if (value === undefined || value === null) {
+      return Promise.try(fn).then(result => ({ value: result, key: undefined, repeated: false }));
+    }
+    const key = stableStringify(value);
+    const recordKey = `${operation} ${key}`;
+    const inProgress = { status: IdempotencyStatus.IN_PROGRESS, expires: Date.now() + (timeout === undefined ? options.ttl : timeout) };
+    return Promise.resolve(records.claim(recordKey, inProgress)).then(existing => {
+      if (existing && recordStatus(existing) === IdempotencyStatus.COMPLETED) {
+        return { value: existing.value, key, repeated: true };
+      }
+      if (existing) {
+        throw new ConflictError(`operation "${operation}" is already in progress for idempotency key ${key}`);
+      }
+      return Promise.try(fn).then(result => {
+        const completed = { status: IdempotencyStatus.COMPLETED, expires: Date.now() + options.ttl, value: result };
+        return Promise.resolve(records.put(recordKey, completed)).return({ value: result, key, repeated: false });
+      }, error => {
+        return Promise.resolve(records.delete(recordKey)).then(() => {
+          throw error;
+        });
+      });
+    });
+  });
+}
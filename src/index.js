@@ -1,13 +1,57 @@
 import 'source-map-support/register';
 import Promise from 'bluebird';
+import { getPath } from './util';
+import { validate } from './schema';
+import { retry, validateRetryPolicy } from './retry';
+import { Logger } from './logger';
+import { Metrics } from './metrics';
+import { NoopTracer, extractTraceContext, withSpan, endSpan } from './tracing';
+import { Container } from './container';
+import { extractIdentity, validateAuthorization, checkAuthorization } from './auth';
+import { ResponseCache, validateCachePolicy } from './cache';
+import { InMemoryIdempotencyStore, isIdempotencyStore, validateIdempotencyPolicy, callIdempotent } from './idempotency';
+import {
+  HandlerError,
+  BadRequestError,
+  NotFoundError,
+  ValidationError,
+  InternalError,
+  TimeoutError,
+  InitializationError,
+  serializeError
+} from './errors';
+
+export {
+  HandlerError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  InternalError,
+  NotImplementedError,
+  TimeoutError,
+  InitializationError,
+  serializeError
+} from './errors';
+export { createContext } from './context';
+export { Logger } from './logger';
+export { Metrics } from './metrics';
+export { NoopTracer, InMemoryTracer, SpanStatusCode, extractTraceContext, formatTraceparent } from './tracing';
+export { Container } from './container';
+export { extractIdentity } from './auth';
+export { MemoryCache } from './cache';
+export { IdempotencyStatus, InMemoryIdempotencyStore } from './idempotency';
 
 /** @external {Promise} http://bluebirdjs.com/docs/api-reference.html */
 /** @external {AWSLambdaContext} http://docs.aws.amazon.com/lambda/latest/dg/nodejs-prog-model-context.html */
 /**
  * An endpoint is a prototype method in a {@link Handler} subclass. It's so-called
  * because it is the end destination to which an event is dispatched. In the
- * current version, an endpoint is simply a function with attached {@link EndpointMetadata}.
- * In future versions, this may not be the case.
+ * current version, an endpoint is a function with attached {@link EndpointMetadata},
+ * or a getter with attached metadata whose value is a function, a nested
+ * {@link Handler} or a literal value.
  * @typedef {Function} Endpoint
  * @property {EndpointMetadata} _λ6_metadata - attached handler metadata
  * @experimental Future versions may allow a more abstract model for endpoints.
@@ -17,6 +61,9 @@ import Promise from 'bluebird';
  * @example
  *  @operation
  *  testEndpoint() { return 'testEndpoint is an endpoint'; }
+ *
+ *  @operation
+ *  get literalEndpoint() { return 'literalEndpoint is an endpoint'; }
  */
 
 function isUndefinedOrNull(val) {
@@ -71,17 +118,546 @@ function createCopyDescriptors(obj, deep, template) {
   return pdc;
 }
 
+/**
+ * Validates a payload or result against the corresponding schema from the
+ * `schema` property of the {@link EndpointMetadata}, if one is declared.
+ * @param {*} value - the payload or result to validate
+ * @param {Object} [schemas] - the `schema` property of the endpoint metadata
+ * @param {string} name - either `payload` or `result`
+ * @param {string} operation - the operation being handled, for the error message
+ * @return {*} the value, if it's valid
+ * @throws {ValidationError} if the value doesn't match the schema
+ */
+function checkSchema(value, schemas, name, operation) {
+  const errors = validate(value, schemas && schemas[name], name);
+  if (errors.length) {
+    throw new ValidationError(`${name} validation failed for operation "${operation}"`, errors);
+  }
+  return value;
+}
+
+/**
+ * Sets the services listed in the `inject` option of an operation on the
+ * {@link InvocationContext}, as getters that resolve each service when it's
+ * first used.
+ * @param {InvocationContext} ictx - the invocation context
+ * @param {Object} scope - the scope of the invocation, see {@link Container#createScope}
+ * @param {string[]|Object} [inject] - the `inject` option of the endpoint metadata
+ * @throws {TypeError} if a property is already set on the invocation context
+ */
+function injectServices(ictx, scope, inject) {
+  if (!inject) {
+    return;
+  }
+  const names = {};
+  if (Array.isArray(inject)) {
+    inject.forEach(name => {
+      names[name] = name;
+    });
+  } else {
+    Object.assign(names, inject);
+  }
+  Object.keys(names).forEach(key => {
+    if (ictx.hasOwnProperty(key)) {
+      throw new TypeError(`cannot inject service "${names[key]}" as "${key}", which is already set on the invocation context`);
+    }
+    Object.defineProperty(ictx, key, { get: () => scope.get(names[key]), enumerable: true });
+  });
+}
+
+/**
+ * Gets the function that carries the {@link EndpointMetadata} for a property:
+ * the getter of an accessor property, otherwise the value.
+ * @param {Object} descriptor - the property descriptor
+ * @return {*} the getter or the value of the property
+ */
+function descriptorEndpoint(descriptor) {
+  return descriptor.get || descriptor.value;
+}
+
+/**
+ * The sources that an {@link ArgumentMapping} can read from.
+ * @type {string[]}
+ */
+const argumentSources = ['event', 'payload', 'context', 'params'];
+
+/**
+ * An argument mapping describes where one argument of an {@link Endpoint} is
+ * taken from when the endpoint declares `args` in its {@link EndpointMetadata}.
+ * A mapping is one of:
+ * <ul>
+ * <li>a string, which is a path into the event (see {@link getPath})</li>
+ * <li>a function, which is called with the event and returns the argument</li>
+ * <li>an object with a `path` (a path or a function), an optional `from`
+ * (one of `event` (default), `payload`, `context` or `params`) and an
+ * optional `default` used when the value is `undefined`</li>
+ * </ul>
+ * @typedef {string|Function|Object} ArgumentMapping
+ * @since 2.0.0
+ * @example
+ *
+ * @operation({ args: ['payload.id', { from: 'payload', path: 'fields', default: ['name'] }] })
+ * getUser(id, fields) { return db.getUser(id, fields); }
+ */
+
+/**
+ * Validates the `args` option of the {@link operation} decorator.
+ * @param {ArgumentMapping[]} mappings - the argument mappings
+ * @throws {TypeError} if the mappings aren't an array or a mapping is invalid
+ */
+function validateArgumentMappings(mappings) {
+  if (!Array.isArray(mappings)) {
+    throw new TypeError(`invalid type for operation args, must be an array`);
+  }
+  mappings.forEach(mapping => {
+    checkType(mapping, 'argument mapping', ['string', 'function', 'object']);
+    if (typeof mapping === 'object') {
+      checkType(mapping.path, 'argument mapping path', ['string', 'function']);
+      const from = mapping.from || 'event';
+      if (argumentSources.indexOf(from) < 0) {
+        throw new TypeError(`invalid argument mapping source "${from}"`);
+      }
+    }
+  });
+}
+
+/**
+ * Maps the arguments of an {@link Endpoint} from the event, see {@link ArgumentMapping}.
+ * @param {ArgumentMapping[]} mappings - the argument mappings
+ * @param {Object} sources - the `event`, `payload`, `context` and `params`
+ * @return {Array} the arguments to invoke the endpoint with
+ */
+function mapArguments(mappings, sources) {
+  return mappings.map(mapping => {
+    if (typeof mapping !== 'object') {
+      return getPath(sources.event, mapping);
+    }
+    const value = getPath(sources[mapping.from || 'event'], mapping.path);
+    return value === undefined ? mapping.default : value;
+  });
+}
+
+/**
+ * Default parser for the records of a batch event, see {@link Handler#dispatchBatch}.
+ * The JSON body of SQS messages, SNS messages and Kinesis data (after decoding
+ * it from base64) is parsed. Other records, including DynamoDB Streams records,
+ * are returned as-is.
+ * @param {Object} record - the record to parse
+ * @return {Object} the event to route
+ * @throws {SyntaxError} if the record's body isn't valid JSON
+ */
+export function parseRecord(record) {
+  switch (record.eventSource || record.EventSource) {
+  case 'aws:sqs':
+    return JSON.parse(record.body);
+  case 'aws:sns':
+    return JSON.parse(record.Sns.Message);
+  case 'aws:kinesis':
+    return JSON.parse(Buffer.from(record.kinesis.data, 'base64').toString('utf8'));
+  default:
+    return record;
+  }
+}
+
+/**
+ * Gets the identifier of a batch record that is reported in `batchItemFailures`:
+ * the message ID for SQS and SNS and the sequence number for Kinesis and
+ * DynamoDB Streams.
+ * @param {Object} record - the record
+ * @return {string} the identifier of the record
+ */
+export function recordId(record) {
+  return getPath(record, 'messageId') || getPath(record, 'Sns.MessageId') ||
+    getPath(record, 'kinesis.sequenceNumber') || getPath(record, 'dynamodb.SequenceNumber');
+}
+
+/**
+ * Default detector of the scheduled pings that keep functions warm, see the
+ * `warmer` option in {@link HandlerOptions}. It recognizes events with
+ * `warmer: true`, scheduled EventBridge events whose `detail` has
+ * `warmer: true`, and the events of serverless-plugin-warmup.
+ * @param {Object} event - the event
+ * @return {boolean} `true` if the event is a warmer ping
+ * @since 2.0.0
+ */
+export function isWarmerEvent(event) {
+  return Boolean(event) && (
+    event.warmer === true ||
+    event.source === 'serverless-plugin-warmup' ||
+    (event.source === 'aws.events' && getPath(event, 'detail.warmer') === true)
+  );
+}
+
+/**
+ * Walks the prototype chain of `obj`, starting with `obj` itself, and collects
+ * every property whose value (or getter) is a function carrying {@link EndpointMetadata}.
+ * Properties are visited from the most derived object outward, so a subclass
+ * method that overrides an operation without re-applying the {@link operation}
+ * decorator hides the inherited operation, just as it does for {@link Handler#resolveEndpoint}.
+ * Getters aren't invoked while walking.
+ * @param {Object} obj - the object at which to start walking
+ * @param {Function} [onInvalid] - called with the property key and the error
+ * for each endpoint whose metadata is invalid
+ * @return {Array} of `{ key, name, metadata }` objects in discovery order, where
+ * `name` is the operation name and `key` is the property key. Each object also
+ * has either an `endpoint` or, for accessor properties, a `getter`.
+ */
+function collectOperations(obj, onInvalid) {
+  const seen = Object.create(null);
+  const operations = [];
+  for (let proto = obj; proto && proto !== Object.prototype; proto = Object.getPrototypeOf(proto)) {
+    Object.getOwnPropertyNames(proto).forEach(key => { //eslint-disable-line no-loop-func
+      if (key in seen) {
+        return;
+      }
+      seen[key] = true;
+      const descriptor = Object.getOwnPropertyDescriptor(proto, key);
+      const fn = descriptorEndpoint(descriptor);
+      if (typeof fn !== 'function') {
+        return;
+      }
+      let metadata;
+      try {
+        metadata = Handler.getEndpointMetadata(fn); //eslint-disable-line no-use-before-define
+      } catch (e) {
+        if (onInvalid) {
+          onInvalid(key, e);
+        }
+        return;
+      }
+      if (!isUndefinedOrNull(metadata)) {
+        const name = metadata.name || key;
+        const entry = descriptor.get ? { getter: descriptor.get } : { endpoint: descriptor.value };
+        operations.push(Object.assign(entry, { key, name, metadata }));
+      }
+    });
+  }
+  return operations;
+}
+
+/**
+ * Matches the segments of an operation, split on `/`, against an operation
+ * name. Segments of the name written as `{param}` match any value, which is
+ * captured as a path parameter. The operation may have more segments than the
+ * name, in which case the remaining ones are returned so that they can be
+ * forwarded to a delegate {@link Handler}.
+ * @param {string} name - the operation name, e.g. `groups/{groupId}`
+ * @param {string[]} segments - the segments of the requested operation
+ * @return {Object} with `params` and `rest` properties, or `undefined` if the
+ * operation doesn't match the name
+ */
+function matchPath(name, segments) {
+  const template = name.split('/');
+  if (segments.length < template.length) {
+    return;
+  }
+  const params = {};
+  const matches = template.every((part, index) => {
+    const param = /^\{(\w+)\}$/.exec(part);
+    if (param) {
+      params[param[1]] = segments[index];
+      return true;
+    }
+    return part === segments[index];
+  });
+  if (matches) {
+    return { params, rest: segments.slice(template.length).join('/') };
+  }
+}
+
+/**
+ * Checks whether a value is a {@link Handler} subclass.
+ * @param {*} value - the value to check
+ * @return {boolean} `true` if the value is a handler class
+ */
+function isHandlerClass(value) {
+  return typeof value === 'function' && value.prototype instanceof Handler; //eslint-disable-line no-use-before-define
+}
+
+/**
+ * Checks whether a value is a {@link Handler} instance or subclass, such as
+ * what {@link createServer} and {@link expectOperation} accept.
+ * @param {*} value - the value to check
+ * @return {boolean} `true` if the value is a handler or handler class
+ * @since 2.0.0
+ */
+export function isHandler(value) {
+  return value instanceof Handler || isHandlerClass(value); //eslint-disable-line no-use-before-define
+}
+
+/**
+ * Wraps the value returned by a getter endpoint in a function, so that it can be
+ * invoked like any other {@link Endpoint}. The function returns the value, or
+ * throws it if it's an `Error`, which makes the invocation fail.
+ * @param {*} value - the literal value of the endpoint
+ * @return {Function} the endpoint function
+ */
+function literalEndpoint(value) {
+  return function() {
+    if (value instanceof Error) {
+      throw value;
+    }
+    return value;
+  };
+}
+
+/**
+ * Options of {@link EndpointMetadata} that apply to an endpoint delegating to a
+ * nested {@link Handler}. The others configure the invocation of an endpoint,
+ * which happens in the nested handler.
+ * @type {string[]}
+ */
+const _delegatingOptions = ['name', 'aliases', 'description', 'deprecated', 'authorize'];
+
+/**
+ * Gets the nested handler that a handler class returned by an endpoint is
+ * instantiated as. It's created once per parent handler, so that it's
+ * initialized once and keeps its state across warm invocations, with the
+ * options of the parent, whose logger, metrics, tracer, services and
+ * idempotency store it shares.
+ * @param {Handler} handler - the parent handler
+ * @param {Function} HandlerClass - the {@link Handler} subclass
+ * @return {Handler} the nested handler
+ */
+function nestedHandler(handler, HandlerClass) {
+  if (!handler.nestedHandlers.has(HandlerClass)) {
+    const options = Object.assign({}, handler.options, {
+      log: handler.logger,
+      metrics: handler.metrics,
+      tracer: handler.tracer,
+      services: handler.services,
+      idempotencyStore: handler.idempotencyStore
+    });
+    handler.nestedHandlers.set(HandlerClass, new HandlerClass(options));
+  }
+  return handler.nestedHandlers.get(HandlerClass);
+}
+
+/**
+ * Turns a match from {@link matchPath} into the result of {@link Handler#resolveEndpoint}.
+ * Getters are invoked with `this` bound to the handler. If the endpoint is a
+ * nested {@link Handler}, the remaining segments of the operation are resolved
+ * by it and the path parameters of both are merged, and the metadata of the
+ * delegating endpoint is added to the path of delegating endpoints, outermost
+ * first. The route of the endpoint is the name that matched, followed by the
+ * route within the nested handler. Handler classes are instantiated once per
+ * parent handler, see {@link nestedHandler}. Any other value that
+ * isn't a function becomes a literal endpoint, see {@link literalEndpoint}.
+ * @param {Handler} handler - the handler doing the resolving
+ * @param {Object} entry - an entry returned by {@link collectOperations}
+ * @param {Object} match - the match returned by {@link matchPath}, with the
+ * name that matched as `route`
+ * @return {Array} the resolved endpoint, or `undefined` if it doesn't apply
+ * @throws {InternalError} if the endpoint returns a handler instance instead
+ * of a class, or delegates to a nested handler but has options that only
+ * apply to the endpoints it invokes
+ */
+function resolveMatch(handler, entry, { route, params, rest }) {
+  const endpoint = entry.getter ? entry.getter.call(handler) : entry.endpoint;
+  if (isHandler(endpoint)) {
+    // An instance would be created by the getter for each call, with services of its own
+    if (endpoint instanceof Handler) { //eslint-disable-line no-use-before-define
+      throw new InternalError(`operation "${entry.name}" must return a Handler class to delegate to, not an instance`);
+    }
+    if (!rest) {
+      return;
+    }
+    const unsupported = Object.keys(entry.metadata).filter(key => _delegatingOptions.indexOf(key) < 0);
+    if (unsupported.length) {
+      throw new InternalError(`options ${unsupported.join(', ')} of operation "${entry.name}" don't apply to the nested handler it delegates to`);
+    }
+    const delegate = nestedHandler(handler, endpoint);
+    try {
+      const [nested, metadata, nestedParams, owner, delegators, nestedRoute] = delegate.resolveEndpoint(rest);
+      const delegated = [entry.metadata].concat(delegators);
+      return [nested, metadata, Object.assign({}, params, nestedParams), owner, delegated, `${route}/${nestedRoute}`];
+    } catch (e) {
+      if (e instanceof NotFoundError) {
+        return;
+      }
+      throw e;
+    }
+  }
+  if (rest) {
+    return;
+  }
+  const fn = typeof endpoint === 'function' ? endpoint : literalEndpoint(endpoint);
+  return [fn, entry.metadata, params, handler, [], route];
+}
+
+/**
+ * Maps an entry from {@link collectOperations} to the public shape returned by
+ * {@link Handler.listOperations}, copying the metadata along the way.
+ * @param {Object} entry - an entry returned by {@link collectOperations}
+ * @return {Object} with `name` and `metadata` properties
+ */
+function describeOperation({ name, metadata }) {
+  return { name, metadata: Object.assign({}, metadata) };
+}
+
+/**
+ * Options of {@link EndpointMetadata} that the built-in describe operation
+ * returns. The others can hold functions, stores or requirements that callers
+ * shouldn't see, and that can't always be serialized.
+ * @type {string[]}
+ */
+const _describedOptions = ['aliases', 'description', 'deprecated', 'route'];
+
+/**
+ * Maps an entry returned by {@link Handler#listOperations} to what the
+ * built-in describe operation returns for it.
+ * @param {Object} entry - an entry returned by {@link Handler#listOperations}
+ * @return {Object} the `name` of the operation and its described options
+ */
+function describePublicly({ name, metadata }) {
+  return _describedOptions.filter(key => metadata[key] !== undefined).reduce((described, key) => {
+    described[key] = metadata[key];
+    return described;
+  }, { name });
+}
+
+/**
+ * Built-in endpoint that is resolved for {@link HandlerOptions}.describeOperation
+ * when it is set. It is invoked like any other {@link Endpoint}, so `this` is
+ * the {@link InvocationContext}.
+ * @return {Array} the `name`, `aliases`, `description`, `deprecated` and
+ * `route` of each operation of {@link Handler#listOperations}
+ */
+function describeOperations() {
+  return this.listOperations().map(describePublicly);
+}
+
+/**
+ * Default time kept in reserve before AWS Lambda would stop an invocation, in
+ * milliseconds, see {@link Handler#invocationTimeout}.
+ * @type {number}
+ */
+const _defaultTimeoutMargin = 500;
+
+/**
+ * A cancellation signal lets an {@link Endpoint} stop cooperatively when its
+ * invocation is abandoned, for example because it timed out. It's available as
+ * `this.signal` in the {@link InvocationContext}.
+ * @typedef {Object} CancellationSignal
+ * @property {boolean} aborted - whether the invocation was abandoned
+ * @property {Error} [reason] - why the invocation was abandoned
+ * @property {function(listener: Function)} onAbort - registers a listener that
+ * is called with the reason when the invocation is abandoned, or right away if
+ * it already was
+ * @property {function()} throwIfAborted - throws the reason if the invocation
+ * was abandoned
+ * @since 2.0.0
+ * @example
+ *
+ * @operation({ timeout: 5000 })
+ * exportAll() {
+ *   return Promise.each(this.tables, table => {
+ *     this.signal.throwIfAborted();
+ *     return exportTable(table);
+ *   });
+ * }
+ */
+
+/**
+ * Creates a {@link CancellationSignal}.
+ * @return {Array} the signal and the function that aborts it with a reason
+ */
+function createSignal() {
+  const listeners = [];
+  const signal = {
+    aborted: false,
+    reason: undefined,
+    onAbort(listener) {
+      if (signal.aborted) {
+        listener(signal.reason);
+      } else {
+        listeners.push(listener);
+      }
+    },
+    throwIfAborted() {
+      if (signal.aborted) {
+        throw signal.reason;
+      }
+    }
+  };
+  const abort = reason => {
+    signal.aborted = true;
+    signal.reason = reason;
+    listeners.splice(0).forEach(listener => listener(reason));
+  };
+  return [signal, abort];
+}
+
+/**
+ * Records the outcome and duration of an operation and emits its metrics.
+ * @param {Metrics} metrics - the metrics of the operation
+ * @param {number} start - when the operation started, in milliseconds since the epoch
+ * @param {boolean} failed - whether the operation failed
+ */
+function recordInvocation(metrics, start, failed) {
+  metrics.put('Invocations', 1);
+  metrics.put('Errors', failed ? 1 : 0);
+  metrics.put('Duration', Date.now() - start, 'Milliseconds');
+  metrics.flush();
+}
+
 /**
  * Endpoint metadata is what {@link Handler} uses to inspect an an {@link Endpoint}
  * to determine if it's eligible to handle a given operation. Operations are
  * "whitelisted" so that properties (own or inherited) of the handler don't get
  * exposed as operation endpoints where they aren't meant to.
  * @typedef {Object} EndpointMetadata
+ * @property {string} [name] - the operation name, if it differs from the method name
+ * @property {string[]} [aliases] - additional operation names for the endpoint
+ * @property {string} [description] - a human-readable description of the operation
+ * @property {number} [timeout] - the maximum duration of the operation, in
+ * milliseconds, which overrides the `timeout` in {@link HandlerOptions}, see
+ * {@link Handler#invocationTimeout}
+ * @property {boolean|string} [deprecated] - marks the operation as deprecated,
+ * a string is used as the deprecation message
+ * @property {Middleware[]} [middleware] - per-operation middleware
+ * @property {ArgumentMapping[]} [args] - where to take each argument of the
+ * endpoint from; by default the endpoint is invoked with the payload
+ * @property {Object} [schema] - JSON-Schema-style schemas for the operation's
+ * `payload` and `result`; invalid values are rejected with a {@link ValidationError}
+ * @property {RetryPolicy} [retry] - how the endpoint is retried when it fails
+ * @property {string[]|Object} [inject] - services of the {@link Container}
+ * that are set on the {@link InvocationContext}: an array of service names,
+ * or an object that maps property names to service names
+ * @property {boolean|Function|Object} [authorize] - who may call the
+ * operation, checked against the {@link Identity} of the caller before the
+ * endpoint is invoked, see {@link authorize}
+ * @property {boolean|CachePolicy} [cache] - caches the results of the
+ * operation by its arguments across warm invocations, see {@link CachePolicy}
+ * @property {string|Function|IdempotencyPolicy} [idempotency] - returns the
+ * result of the first call to repeats of the operation with the same
+ * idempotency key, see {@link IdempotencyPolicy}
  * @since 2.0.0
  * @experimental The properties of this are likely to change.
  */
 const _defaultMetadata = {};
 
+/**
+ * Middleware wraps the invocation of an {@link Endpoint}, which makes it the place
+ * for cross-cutting concerns such as authentication, validation, enrichment or
+ * mapping results and errors. It is called with `this` bound to the
+ * {@link InvocationContext}, a `next` function and the arguments that the
+ * endpoint will be invoked with. Calling `next()` runs the rest of the chain and
+ * returns a {@link Promise} of the endpoint's result; calling it with arguments
+ * replaces the arguments passed downstream. Not calling `next()` at all
+ * short-circuits the endpoint, and the middleware's return value becomes the result.
+ * @typedef {Function} Middleware
+ * @since 2.0.0
+ * @example
+ *
+ * function requireUser(next, payload) {
+ *   if (!payload.userId) {
+ *     throw new Error('userId is required');
+ *   }
+ *   return next().then(result => Object.assign({ userId: payload.userId }, result));
+ * }
+ */
+
 /**
  * Base class for AWS Lambda handlers. This class should be extended and new
  * operations should be added to the class as prototype methods. A method added
@@ -90,10 +666,12 @@ const _defaultMetadata = {};
  * an event in the following way:
  * <ol>
  * <li>Extract `operation` and `payload` from the event using keys defined in {@link HandlerOptions}</li>
- * <li>Lookup property `this[operation]` in handler and validate it as an {@link Endpoint}</li>
+ * <li>Resolve the `operation` to an {@link Endpoint} of the handler, or of a nested handler (see {@link Handler#resolveEndpoint})</li>
+ * <li>Validate the `payload` against the schema in the {@link EndpointMetadata}, if any</li>
  * <li>Create a new {@link InvocationContext} with the current handler as the prototype</li>
- * <li>Invoke the {@link Endpoint}, binding `this` to the {@link InvocationContext}</li>
- * <li>Call `context.succeed()` or `context.fail()` if an {@link AWSLambdaContext} is present</li>
+ * <li>Invoke the {@link Endpoint} through its {@link Middleware}, binding `this` to the {@link InvocationContext}</li>
+ * <li>Call `context.succeed()` or `context.fail()` if an {@link AWSLambdaContext} is present,
+ * serializing errors if {@link HandlerOptions} ask for it</li>
  * <li>Resolve or reject the results (or error) in the promise returned to the caller</li>
  * </ol>
  * @see http://docs.aws.amazon.com/lambda/latest/dg/programming-model.html
@@ -134,7 +712,8 @@ export class Handler {
 
   /**
    * Gets the default options for a new {@link Handler} instance. The defaults
-   * are "operation" and "payloadKey" for
+   * are "operation" and "payload" for the `operationKey` and `payloadKey`.
+   * Subclasses can override this getter to provide their own defaults.
    * @type {HandlerOptions}
    * @since 2.0.0
    */
@@ -145,6 +724,52 @@ export class Handler {
     };
   }
 
+  /**
+   * Creates the function to export to AWS Lambda as the entry point for a
+   * {@link Handler} subclass. A single instance of the subclass is created and
+   * reused across warm invocations of the function. The signature of the
+   * returned function matches the `style` in {@link HandlerOptions}:
+   * `(event, context)` returning a {@link Promise} for the `context` and `async`
+   * styles, and `(event, context, callback)` for the `callback` style. With the
+   * `async` style and the `serializeErrors` option, the function rejects with
+   * an `Error` whose message is the serialized error, since AWS Lambda reports
+   * the message of the errors that async handlers reject with.
+   * @param {Function} HandlerClass - the {@link Handler} subclass to export
+   * @param {HandlerOptions} [options] - the options passed to the constructor
+   * @return {Function} the handler function to export
+   * @throws {TypeError} if `HandlerClass` isn't a {@link Handler} subclass
+   * @since 2.0.0
+   * @example
+   *
+   * export const handler = Handler.export(MyHandler, { style: 'async' });
+   */
+  static export(HandlerClass, options) {
+    if (!isHandlerClass(HandlerClass)) {
+      throw new TypeError(`HandlerClass must be a subclass of Handler`);
+    }
+    const instance = new HandlerClass(options);
+    const { style, serializeErrors } = instance.options;
+    if (style === 'async' && serializeErrors) {
+      const serializer = serializeErrors === true ? serializeError : serializeErrors;
+      return function handler(event, context) {
+        return instance.handle(event, context).catch(error => {
+          const failure = new Error(JSON.stringify(serializer(error)));
+          failure.cause = error;
+          throw failure;
+        });
+      };
+    }
+    if (style === 'callback') {
+      return function handler(event, context, callback) {
+        // Failures are reported to the callback, so don't leave them unhandled
+        instance.handle(event, context, callback).catch(() => {});
+      };
+    }
+    return function handler(event, context) {
+      return instance.handle(event, context);
+    };
+  }
+
   /**
    * Creates a new instance of the base handler class. Subclasses don't need to
    * override this if they wish to store custom data. Simply pass in an `options`
@@ -157,18 +782,176 @@ export class Handler {
   constructor(options) {
     /**
     * The {@link Handler} can be customized to inspect different values for the
-    * operation and payload within the event. Currently, deep gets are not supported
-    * for key values, so the data must reside as a direct child of the root JSON
-    * object (event).
+    * operation and payload within the event. Keys can be a direct child of the
+    * root JSON object (event), a deep path such as `requestContext.http.method`
+    * or `Records[0].body`, or a function that is given the event and returns
+    * the value (see {@link getPath}).
     * @typedef {Object} HandlerOptions
-    * @property {string} [operationKey] - the key used to lookup the `operation`
-    * from the `event` object.
-    * @property {string} [payloadKey] - the key used to lookup the `payload`
-    * from the `event` object.
+    * @property {string|Function} [operationKey] - the key, path or extractor
+    * used to lookup the `operation` from the `event` object.
+    * @property {string|Function} [payloadKey] - the key, path or extractor used
+    * to lookup the `payload` from the `event` object.
+    * @property {Middleware[]} [middleware] - middleware that wraps every
+    * endpoint of the handler, outermost first.
+    * @property {string} [style] - how the outcome is reported to AWS Lambda,
+    * one of `context` (default), `callback` or `async`, see {@link Handler#handle}.
+    * @property {boolean|Function} [serializeErrors] - when set, errors are
+    * passed to `context.fail()` (or the callback) as a JSON string produced by
+    * this serializer instead of as-is. `true` uses {@link serializeError}. The
+    * promise returned by {@link Handler#handle} always rejects with the original
+    * error; with the `async` style, the function of {@link Handler.export}
+    * rejects with an `Error` whose message is the JSON string instead.
+    * @property {boolean|Object} [fanOut] - allows an event to be dispatched to
+    * several operations, see {@link Handler#matchOperations}. Set to `true` or
+    * to `{ parallel, failFast }`, see {@link Handler#fanOut}. Disabled by default.
+    * @property {number} [timeout] - the maximum duration of every operation, in
+    * milliseconds, see {@link Handler#invocationTimeout}. No limit by default.
+    * @property {number} [timeoutMargin] - the time kept in reserve before AWS
+    * Lambda would stop the invocation, in milliseconds, 500 by default.
+    * @property {boolean|Object} [batch] - dispatches each of the `Records` of
+    * a batch event separately and reports the failed records. Set to `true` or
+    * to `{ concurrency, parse, id }`, see {@link Handler#dispatchBatch}.
+    * Disabled by default.
+    * @property {Object|Logger} [log] - the {@link Logger} of the handler, or
+    * the options to create it with. Every call to {@link Handler#handle} is
+    * logged when it starts and when it succeeds or fails, and endpoints log
+    * through `this.log`, see {@link InvocationContext}.
+    * @property {boolean|Object|Metrics} [metrics] - records the `Invocations`,
+    * `Errors` and `Duration` of every operation in CloudWatch Embedded Metric
+    * Format, with the route of the endpoint, such as `users/{id}`, as the
+    * `Operation` dimension and the operation as a property. Set to `true`, to
+    * the options of a {@link Metrics} or to a {@link Metrics}. Endpoints add
+    * their own metrics through `this.metrics`, see {@link InvocationContext}.
+    * Disabled by default.
+    * @property {Tracer} [tracer] - creates a span for every call to
+    * {@link Handler#handle}, with child spans for resolving the endpoint,
+    * invoking it and each middleware. The span of the handler joins the trace
+    * of the caller when the event has trace headers, see
+    * {@link extractTraceContext}. A {@link NoopTracer} by default.
+    * @property {Object|Container} [services] - the {@link Container} of the
+    * services that endpoints depend on, or the definitions to create it with.
+    * Endpoints get the services through `this.services`, or as properties of
+    * `this` with the `inject` option of {@link operation}.
+    * @property {function(event: Object, context: AWSLambdaContext): Identity} [identity] -
+    * extracts the {@link Identity} of the caller from the event, which is
+    * `this.identity` in the {@link InvocationContext} and is checked against
+    * the `authorize` option of operations. {@link extractIdentity} by default,
+    * which reads the authorizer of API Gateway and function URL events.
+    * @property {IdempotencyStore} [idempotencyStore] - persists the calls to
+    * operations with the `idempotency` option, see {@link IdempotencyPolicy}.
+    * An {@link InMemoryIdempotencyStore} by default, which only catches the
+    * repeats handled by the same instance of the function.
+    * @property {boolean|function(event: Object): boolean} [warmer] - detects
+    * the scheduled pings that keep the function warm, which are answered with
+    * `{ warmed: true }` once the handler is initialized, without extracting or
+    * resolving an operation. {@link isWarmerEvent} by default, a custom detector, or `false`
+    * to handle pings like any other event.
+    * @property {string|Object} [describeOperation] - when set, an operation with
+    * this name is answered with the `name`, `aliases`, `description`,
+    * `deprecated` and `route` of each operation of {@link Handler#listOperations},
+    * letting callers discover what the handler exposes. The operation is
+    * public, unless this is an object with the `name` of the operation and an
+    * `authorize` requirement, see {@link authorize}. Disabled by default.
     * @since 2.0.0
-    * @todo Add support deep gets for operation and payload keys.
     */
-    this.options = Object.assign({}, Handler.defaultOptions, options);
+    this.options = Object.assign({}, this.constructor.defaultOptions, options);
+    /**
+     * The logger of the handler, see the `log` option.
+     * @type {Logger}
+     */
+    this.logger = this.options.log instanceof Logger ? this.options.log : new Logger(this.options.log);
+    /**
+     * The metrics of the handler, see the `metrics` option, or `null` when
+     * they are disabled.
+     * @type {Metrics}
+     */
+    this.metrics = null;
+    if (this.options.metrics instanceof Metrics) {
+      this.metrics = this.options.metrics;
+    } else if (this.options.metrics) {
+      this.metrics = new Metrics(this.options.metrics === true ? {} : this.options.metrics);
+    }
+    /**
+     * The tracer of the handler, see the `tracer` option.
+     * @type {Tracer}
+     */
+    this.tracer = this.options.tracer || new NoopTracer();
+    /**
+     * The services of the handler, see the `services` option.
+     * @type {Container}
+     */
+    this.services = this.options.services instanceof Container ? this.options.services : new Container(this.options.services);
+    /**
+     * The promise of {@link Handler#ready}, once initialization has started.
+     * @type {Promise}
+     * @private
+     */
+    this.initialization = null;
+    /**
+     * The {@link ResponseCache} of each operation whose results are cached,
+     * by {@link EndpointMetadata}.
+     * @type {Map}
+     * @private
+     */
+    this.caches = new Map();
+    /**
+     * The nested handlers that handler classes returned by endpoints are
+     * instantiated as, by class.
+     * @type {Map}
+     * @private
+     */
+    this.nestedHandlers = new Map();
+    if (!isUndefinedOrNull(this.options.idempotencyStore) && !isIdempotencyStore(this.options.idempotencyStore)) {
+      throw new TypeError(`invalid idempotencyStore, must have claim, put and delete methods`);
+    }
+    /**
+     * The store of idempotent calls, see the `idempotencyStore` option.
+     * @type {IdempotencyStore}
+     */
+    this.idempotencyStore = this.options.idempotencyStore || new InMemoryIdempotencyStore();
+    const { describeOperation } = this.options;
+    if (describeOperation && typeof describeOperation === 'object' && describeOperation.authorize !== undefined) {
+      validateAuthorization(describeOperation.authorize);
+    }
+  }
+
+  /**
+   * Initializes the handler before it handles its first event, for example to
+   * open connections or load configuration. Subclasses override this instead
+   * of initializing lazily in their endpoints; it does nothing by default.
+   * Since the handler is created once per AWS Lambda container, this runs on
+   * cold starts only, see {@link Handler#ready}.
+   * @return {Promise|*} a promise that resolves once the handler is initialized
+   * @since 2.0.0
+   * @example
+   *
+   * class UserHandler extends Handler {
+   *   init() {
+   *     return loadConfig().then(config => this.services.value('config', config));
+   *   }
+   * }
+   */
+  init() {}
+
+  /**
+   * Calls {@link Handler#init} the first time, and returns the same promise
+   * afterwards. {@link Handler#handle} waits for it before handling an event.
+   * If initialization fails, the promise rejects with an
+   * {@link InitializationError} and the next call tries again.
+   * @return {Promise} a promise that resolves once the handler is initialized
+   * @since 2.0.0
+   */
+  ready() {
+    if (!this.initialization) {
+      this.initialization = Promise.try(() => this.init()).then(() => undefined, error => {
+        this.initialization = null;
+        const message = error instanceof Error ? error.message : String(error);
+        const initError = new InitializationError(`handler initialization failed: ${message}`);
+        initError.cause = error;
+        throw initError;
+      });
+    }
+    return this.initialization;
   }
 
   /**
@@ -201,21 +984,64 @@ export class Handler {
   }
 
   /**
-   * Handler method that is exported to AWS Lambda.
+   * Lists the operations registered on this class (or inherited from a parent
+   * class) with the {@link operation} decorator. The prototype chain is walked
+   * without invoking any getters, and each entry contains a copy of the
+   * {@link EndpointMetadata} so callers can't mutate the registered metadata.
+   * This is useful for generating documentation or health checks.
+   * @return {Array} of `{ name, metadata }` objects, one per operation
+   * @since 2.0.0
+   * @example
+   *
+   * class MyHandler extends Handler {
+   *   @operation
+   *   ping() { return 'pong'; }
+   * }
+   *
+   * MyHandler.listOperations(); // [{ name: 'ping', metadata: {} }]
+   */
+  static listOperations() {
+    return collectOperations(this.prototype).map(describeOperation);
+  }
+
+  /**
+   * Instance version of {@link Handler.listOperations}. Unlike the static version,
+   * this includes operations that were assigned directly to the instance.
+   * @return {Array} of `{ name, metadata }` objects, one per operation
+   * @since 2.0.0
+   */
+  listOperations() {
+    return collectOperations(this).map(describeOperation);
+  }
+
+  /**
+   * Handler method that is exported to AWS Lambda. How the outcome is reported
+   * to AWS Lambda depends on the `style` in {@link HandlerOptions}:
+   * <ul>
+   * <li>`context` (default): calls `context.succeed()` or `context.fail()`</li>
+   * <li>`callback`: calls the Node.js callback, which is then expected to be
+   * the first of the additional arguments, as in `(event, context, callback)`</li>
+   * <li>`async`: only the returned promise is used, as for async handlers</li>
+   * </ul>
    * @param {Object} event - the AWS Lambda event to be processed
    * @param {AWSLambdaContext} [context] - the AWS Lambda context, optional if testing
    * @param {...args} [args] - additional arguments that will get passed to the
-   * endpoint method when it is invoked.
+   * endpoint method when it is invoked, preceded by the callback if the
+   * `callback` style is used.
    * @returns {Promise} that resolves to the return value of the invoked endpoint
    * or rejects with an error
    * @since 2.0.0
    */
   handle(event, context, ...args) {
+    const { style, serializeErrors } = this.options;
+    const serializer = serializeErrors === true ? serializeError : serializeErrors;
+    const start = Date.now();
+    let log = this.invocationLogger(undefined, context);
+    const attributes = context && context.awsRequestId ? { 'faas.invocation_id': context.awsRequestId } : {};
+    const span = this.tracer.startSpan('handle', { parent: extractTraceContext(event), attributes });
 
-    // Validate event
-    if (isUndefinedOrNull(event)) {
-      return Promise.reject(new TypeError(`event is required`));
-    }
+    // With the callback style, the first additional argument is the callback
+    const [callback, ...endpointArgs] = style === 'callback' ? args : [null, ...args];
 
     function callContextFn(name, value) {
       if (context && context[name] instanceof Function) {
@@ -223,25 +1049,113 @@ export class Handler {
       }
     }
 
+    function notify(name, value) {
+      if (style === 'callback') {
+        if (callback instanceof Function) {
+          return name === 'succeed' ? callback(null, value) : callback(value);
+        }
+      } else if (style !== 'async') {
+        callContextFn(name, value);
+      }
+    }
+
     function onSuccess(result) {
-      callContextFn('succeed', result);
+      log.info('invocation succeeded', { durationMs: Date.now() - start });
+      endSpan(span);
+      notify('succeed', result);
       return result;
     }
 
     function onFailure(error) {
-      callContextFn('fail', error);
+      log.error('invocation failed', { durationMs: Date.now() - start, error });
+      endSpan(span, error);
+      notify('fail', serializer ? JSON.stringify(serializer(error)) : error);
       throw error;
     }
 
-    // Extract from event
-    const {
-      [this.options.operationKey]: operation,
-      [this.options.payloadKey]: payload
-    } = event;
+    // Validate event
+    if (isUndefinedOrNull(event)) {
+      return Promise.reject(new TypeError(`event is required`)).catch(onFailure);
+    }
+
+    const { warmer = isWarmerEvent } = this.options;
+    return Promise.try(() => {
+      // Warmer pings only initialize the handler, before the event is routed at all
+      if (warmer && warmer(event)) {
+        log.info('warmer ping');
+        span.setAttribute('lambda6.warmer', true);
+        return this.ready().return({ warmed: true });
+      }
+
+      // Extract from event, within the promise so that failing extractors are reported
+      const operation = getPath(event, this.options.operationKey);
+      const payload = getPath(event, this.options.payloadKey);
+      log = this.invocationLogger(operation, context);
+      log.info('invocation started');
+      span.setAttribute('lambda6.operation', operation);
 
-    // Lookup endpoint and invoke
-    return Promise.try(() => this.resolveEndpoint(operation))
-    .spread((endpoint, metadata) => {
+      // Dispatch to one endpoint, or to many if the event fans out
+      return this.ready().then(() => {
+        if (this.options.batch && Array.isArray(event.Records)) {
+          return this.dispatchBatch(event.Records, { context, span }, ...endpointArgs);
+        }
+        const request = { operation, event, context, payload, span };
+        const operations = this.options.fanOut && this.matchOperations(operation);
+        if (operations) {
+          return this.fanOut(operations, request, ...endpointArgs);
+        }
+        return this.dispatch(request, ...endpointArgs);
+      });
+    })
+    .then(onSuccess, onFailure);
+  }
+
+  /**
+   * Dispatches an event to the {@link Endpoint} of a single operation: the
+   * operation is resolved, the payload validated and the endpoint invoked with
+   * a new {@link InvocationContext}. Unlike {@link Handler#handle}, this doesn't
+   * report the outcome to AWS Lambda. The metrics of the operation are recorded
+   * around all of it, so that failing authorization, schemas or argument
+   * mappings count as errors too.
+   * @param {Object} request - what to dispatch
+   * @param {string} request.operation - the operation to dispatch to
+   * @param {Object} request.event - the event being handled
+   * @param {AWSLambdaContext} [request.context] - the AWS Lambda context
+   * @param [request.payload] - the payload value of the event
+   * @param {Span} [request.span] - the span of the handler, which the spans
+   * of the dispatch are children of
+   * @param {...args} [args] - additional arguments for the endpoint
+   * @return {Promise} that resolves to the result of the endpoint
+   * @private
+   * @since 2.0.0
+   */
+  dispatch(request, ...args) {
+    const { operation, event, context, payload, span } = request;
+    const start = Date.now();
+    let metrics;
+
+    // Only an invalid operation is the caller's fault, errors of getters and nested handlers aren't
+    return Promise.try(() => checkType(operation, 'operation', ['string']))
+    .catch(TypeError, e => {
+      throw new BadRequestError(e.message);
+    })
+    .then(() => {
+      // Lookup endpoint and invoke
+      const resolving = this.tracer.startSpan('resolveEndpoint', {
+        parent: span && span.spanContext(),
+        attributes: { 'lambda6.operation': operation }
+      });
+      return withSpan(resolving, () => this.resolveEndpoint(operation));
+    })
+    .spread((endpoint, metadata, captured, owner, delegators, route) => {
+      // Recorded by route, so that neither path parameters nor unknown operations add dimensions
+      metrics = this.invocationMetrics(route, context, operation);
+      const params = this.decodeParams(captured);
+      // Deprecating an endpoint that delegates to a nested handler deprecates all of its operations
+      delegators.concat(metadata).filter(entry => entry.deprecated).forEach(({ deprecated }) => {
+        const reason = typeof deprecated === 'string' ? `: ${deprecated}` : '';
+        this.invocationLogger(operation, context).warn(`operation "${operation}" is deprecated${reason}`);
+      });
       /**
        * Object bound as `this` value when an {@link Endpoint} is invoked as the
        * last stage of the event-handling lifecycle. There are a few reasons for
@@ -254,25 +1168,246 @@ export class Handler {
        * providing additional filters or middleware.</li>
        * <li>Implement a more functional approach with no shared state so that
        * the handler has no real side effects to the `context` or `event`. This
-       * enables future event handling schemes such as fanning out the event to
-       * multiple endpoints.</li>
+       * enables event handling schemes such as fanning out the event to
+       * multiple endpoints (see {@link Handler#fanOut}).</li>
        * </ol>
        * @typedef {Object} InvocationContext
        * @property {EndpointMetadata} metadata - metadata of current endpoint
        * @property {string|number} operation - operation key of current endpoint
        * @property {Object} event - the event being handled
        * @property {AWSLambdaContext} [context] - the AWS Lambda context
+       * @property {Object} params - the path parameters captured from the
+       * operation, see {@link Handler#resolveEndpoint}
+       * @property {Object} [record] - the raw record, when the event is one of
+       * the records of a batch (see {@link Handler#dispatchBatch})
+       * @property {Identity} [identity] - the caller of the operation, see the
+       * `identity` option in {@link HandlerOptions}
+       * @property {CancellationSignal} signal - signals that the invocation was
+       * abandoned, for example because it timed out
+       * @property {number} attempt - the number of the current attempt at
+       * invoking the endpoint, from 1, see {@link RetryPolicy}
+       * @property {Logger} log - logs entries with the operation and the AWS
+       * request ID of the invocation
+       * @property {Metrics} metrics - records custom metrics, which are emitted
+       * with the metrics of the invocation under its `Operation` dimension
+       * @property {Span} span - the span of the invocation, to start child
+       * spans with `this.tracer` and to propagate the trace to other services,
+       * see {@link formatTraceparent}
+       * @property {Object} services - gets the services of the handler's
+       * {@link Container} with `get(name)`, sharing those with the
+       * "invocation" lifetime within the invocation. The services listed in
+       * the `inject` option of the operation are also set on the context.
        * @since 2.0.0
        */
+      const identity = (this.options.identity || extractIdentity)(event, context);
       const thisArgs = {
         metadata: metadata,
         operation: operation,
         event: event,
-        context: context
+        context: context,
+        params: params,
+        identity: identity
       };
-      return this.invoke(endpoint, thisArgs, payload, ...args);
+      Object.keys(request).filter(key => !(key in thisArgs) && key !== 'payload' && key !== 'span').forEach(key => {
+        thisArgs[key] = request[key];
+      });
+      // Not enumerable, so that they're used by the invocation without being copied
+      Object.defineProperties(thisArgs, { span: { value: span }, metrics: { value: metrics } });
+      // Delegating endpoints guard every operation of their nested handlers, so they are checked first
+      const requirements = delegators.concat(metadata).map(entry => entry.authorize).filter(requirement => requirement);
+      const authorized = Promise.each(requirements, requirement => checkAuthorization(requirement, identity, { operation, event, context }));
+      return authorized.then(() => {
+        checkSchema(payload, metadata.schema, 'payload', operation);
+        const mapped = metadata.args ? mapArguments(metadata.args, { event, payload, context, params }) : [payload];
+        const invoke = () => owner.invoke(endpoint, thisArgs, ...mapped, ...args);
+        const cached = metadata.cache ? () => this.invokeCached(metadata, thisArgs, payload, mapped, invoke) : invoke;
+        const idempotent = metadata.idempotency ? () => this.invokeIdempotent(metadata, thisArgs, cached) : cached;
+        // Nested handlers are initialized when they are first dispatched to
+        return owner.ready().then(idempotent);
+      })
+      .then(result => checkSchema(result, metadata.schema, 'result', operation));
     })
-    .then(onSuccess, onFailure);
+    .then(result => {
+      recordInvocation(metrics, start, false);
+      return result;
+    }, error => {
+      if (metrics) {
+        recordInvocation(metrics, start, true);
+      }
+      throw error;
+    });
+  }
+
+  /**
+   * Invokes an endpoint whose results are cached, see {@link CachePolicy}.
+   * The caches are kept by the handler that dispatches the event, by the
+   * metadata of the endpoint, so they last across warm invocations whichever
+   * handler the endpoint belongs to.
+   * @param {EndpointMetadata} metadata - the metadata of the endpoint
+   * @param {Object} thisArgs - the values of the {@link InvocationContext}
+   * @param [payload] - the payload value of the event
+   * @param {Array} args - the arguments that the endpoint is invoked with
+   * @param {Function} invoke - invokes the endpoint
+   * @return {Promise} that resolves to the cached result, or else to the
+   * result of the endpoint
+   * @private
+   * @since 2.0.0
+   */
+  invokeCached(metadata, thisArgs, payload, args, invoke) {
+    if (!this.caches.has(metadata)) {
+      this.caches.set(metadata, new ResponseCache(metadata.cache));
+    }
+    return this.caches.get(metadata).wrap(thisArgs, payload, args, invoke).then(({ value, hit }) => {
+      if (hit) {
+        this.invocationLogger(thisArgs.operation, thisArgs.context).debug('cache hit');
+      }
+      return value;
+    });
+  }
+
+  /**
+   * Invokes an endpoint with the `idempotency` option, see {@link IdempotencyPolicy}.
+   * A call stays in progress for as long as it may take, see
+   * {@link Handler#invocationTimeout}, after which a repeat runs again. When
+   * the invocation context has normalized `headers`, as for an
+   * {@link HttpHandler}, the key is looked up in the event with those headers,
+   * whose names are in lower case whatever the kind of event.
+   * @param {EndpointMetadata} metadata - the metadata of the endpoint
+   * @param {Object} thisArgs - the values of the {@link InvocationContext}
+   * @param {Function} invoke - invokes the endpoint
+   * @return {Promise} that resolves to the stored result of an earlier call,
+   * or else to the result of the endpoint, and rejects with a
+   * {@link ConflictError} if an earlier call is still in progress
+   * @private
+   * @since 2.0.0
+   */
+  invokeIdempotent(metadata, thisArgs, invoke) {
+    const { operation, context, headers } = thisArgs;
+    const event = headers ? Object.assign({}, thisArgs.event, { headers }) : thisArgs.event;
+    const timeout = this.invocationTimeout(metadata, context);
+    const log = this.invocationLogger(operation, context);
+    return callIdempotent(metadata.idempotency, { operation, event, store: this.idempotencyStore, timeout }, invoke)
+    .then(({ value, key, repeated }) => {
+      if (key === undefined) {
+        log.warn('idempotency key not found, the call is not de-duplicated');
+      } else if (repeated) {
+        log.info('repeated call, returning the stored result', { idempotencyKey: key });
+      }
+      return value;
+    });
+  }
+
+  /**
+   * Finds the operations that an event fans out to when `fanOut` is enabled in
+   * {@link HandlerOptions}. An event fans out when its operation is an array of
+   * operation names, or a pattern in which `*` matches any sequence of
+   * characters, such as `reports.*`. Patterns are matched against the names
+   * returned by {@link Handler#listOperations}.
+   * @param {*} operation - the operation extracted from the event
+   * @return {string[]} the operations to fan out to, or `undefined` if the
+   * event doesn't fan out
+   * @throws {NotFoundError} if a pattern doesn't match any operation
+   * @private
+   * @since 2.0.0
+   */
+  matchOperations(operation) {
+    if (Array.isArray(operation)) {
+      return operation;
+    }
+    if (typeof operation !== 'string' || operation.indexOf('*') < 0) {
+      return;
+    }
+    const source = operation.split('*').map(part => part.replace(/[\\^$.|?+()[\]{}]/g, '\\$&')).join('.*');
+    const pattern = new RegExp(`^${source}$`);
+    const operations = this.listOperations().map(op => op.name).filter(name => pattern.test(name));
+    if (!operations.length) {
+      throw new NotFoundError(`no endpoints found for operation pattern "${operation}"`);
+    }
+    return operations;
+  }
+
+  /**
+   * Dispatches an event to several operations, each with its own
+   * {@link InvocationContext}, and aggregates the outcomes. The `fanOut` option
+   * in {@link HandlerOptions} controls the behavior: `parallel` (default `true`)
+   * dispatches to all operations at once rather than one after the other, and
+   * `failFast` (default `false`) rejects with the first error instead of
+   * collecting the failures.
+   * @param {string[]} operations - the operations to dispatch to
+   * @param {Object} request - what to dispatch, see {@link Handler#dispatch}
+   * @param {...args} [args] - additional arguments for the endpoints
+   * @return {Promise} that resolves to `{ succeeded, failed, results }`, where
+   * `results` has a `{ operation, success, result }` or `{ operation, success, error }`
+   * object for each operation, in order. Errors are serialized using the
+   * `serializeErrors` option if set, see {@link HandlerError#toJSON} otherwise.
+   * @private
+   * @since 2.0.0
+   */
+  fanOut(operations, request, ...args) {
+    const { parallel = true, failFast = false } = this.options.fanOut === true ? {} : this.options.fanOut;
+    const { serializeErrors } = this.options;
+    const serialize = typeof serializeErrors === 'function' ? serializeErrors : e => HandlerError.from(e).toJSON();
+    const run = op => this.dispatch(Object.assign({}, request, { operation: op }), ...args).then(result => {
+      return { operation: op, success: true, result };
+    }, error => {
+      if (failFast) {
+        throw error;
+      }
+      return { operation: op, success: false, error: serialize(error) };
+    });
+    return (parallel ? Promise.map(operations, run) : Promise.mapSeries(operations, run)).then(results => {
+      const succeeded = results.filter(r => r.success).length;
+      return { succeeded, failed: results.length - succeeded, results };
+    });
+  }
+
+  /**
+   * Dispatches each record of a batch event, such as those sent by SQS, Kinesis
+   * and DynamoDB Streams, as an event of its own. The operation and payload are
+   * extracted from each parsed record using the keys in {@link HandlerOptions},
+   * and the raw record is available as `this.record` in the
+   * {@link InvocationContext}. The `batch` option controls the behavior:
+   * <ul>
+   * <li>`concurrency`: how many records are dispatched at once, 1 by default
+   * so that records are processed in order</li>
+   * <li>`parse`: a function that turns a record into the event to route,
+   * {@link parseRecord} by default</li>
+   * <li>`id`: a function that gets the identifier reported for a failed
+   * record, {@link recordId} by default</li>
+   * </ul>
+   * The error of each failed record, including records that can't be parsed,
+   * is logged with the identifier of the record.
+   * @param {Object[]} records - the records of the batch event
+   * @param {Object} request - what the records are dispatched with
+   * @param {AWSLambdaContext} [request.context] - the AWS Lambda context
+   * @param {Span} [request.span] - the span of the handler
+   * @param {...args} [args] - additional arguments for the endpoints
+   * @return {Promise} that resolves to a partial batch response,
+   * `{ batchItemFailures: [{ itemIdentifier }] }`, listing the failed records
+   * so that only those are retried
+   * @private
+   * @since 2.0.0
+   */
+  dispatchBatch(records, request, ...args) {
+    const options = this.options.batch === true ? {} : this.options.batch;
+    const { concurrency = 1, parse = parseRecord, id = recordId } = options;
+    const run = record => {
+      let operation;
+      return Promise.try(() => {
+        const event = parse(record);
+        operation = getPath(event, this.options.operationKey);
+        const payload = getPath(event, this.options.payloadKey);
+        return this.dispatch(Object.assign({}, request, { operation, event, payload, record }), ...args);
+      })
+      .then(() => null, error => {
+        const itemIdentifier = id(record);
+        this.invocationLogger(operation, request.context).error('record failed', { itemIdentifier, error });
+        return { itemIdentifier };
+      });
+    };
+    return Promise.map(records, run, { concurrency }).then(failures => {
+      return { batchItemFailures: failures.filter(failure => failure) };
+    });
   }
 
   /**
@@ -302,7 +1437,20 @@ export class Handler {
   }
 
   /**
-   * Invokes a endpoint (function) with payload and optional arguments.
+   * Invokes a endpoint (function) with payload and optional arguments. The
+   * endpoint is wrapped in a chain of {@link Middleware}: the handler-wide
+   * middleware from {@link HandlerOptions} runs first, followed by the
+   * per-operation middleware attached to the {@link EndpointMetadata} with the
+   * {@link use} decorator. The endpoint itself is retried according to the
+   * {@link RetryPolicy} of its {@link EndpointMetadata}, if any, with the number
+   * of the attempt as `this.attempt`. The invocation fails with a {@link TimeoutError}
+   * if it takes longer than {@link Handler#invocationTimeout}, in which case
+   * the {@link CancellationSignal} of the {@link InvocationContext} is aborted.
+   * When the `metrics` option is set, the outcome and duration of the
+   * invocation are recorded along with the metrics put by the endpoint, or by
+   * {@link Handler#dispatch} around the whole operation when it was
+   * dispatched. The invocation and each middleware get a span of the `tracer` option. The
+   * services are resolved in a new scope of the {@link Container}.
    * @param {Function} endpoint - the endpoint to invoke
    * @param {Object} thisArgs - additional data to augment "this" during invocation
    * @param [payload] - the payload value of the event
@@ -311,46 +1459,225 @@ export class Handler {
    * @since 2.0.0
    */
   invoke(endpoint, thisArgs, payload, ...args) {
+    const metadata = (thisArgs && thisArgs.metadata) || _defaultMetadata;
+    const middleware = [].concat(this.options.middleware || [], metadata.middleware || []);
+    const timeout = this.invocationTimeout(metadata, thisArgs && thisArgs.context);
+    const deadline = timeout === undefined ? undefined : Date.now() + timeout;
+    const [signal, abort] = createSignal();
+    const operation = thisArgs && thisArgs.operation;
+    // Dispatched operations are recorded by Handler#dispatch, which counts the failures before the invocation too
+    const dispatched = Boolean(thisArgs && thisArgs.metrics);
+    const metrics = dispatched ? thisArgs.metrics : this.invocationMetrics(operation, thisArgs && thisArgs.context);
+    const start = Date.now();
+    const parent = thisArgs && thisArgs.span;
+    const span = this.tracer.startSpan('invoke', {
+      parent: parent && parent.spanContext(),
+      attributes: { 'lambda6.operation': operation }
+    });
+    const scope = this.services.createScope();
+    let attempt = 0;
     // Synchronously (w/out Promise) invoke the endpoint
     const _invoke = () => {
       const ictx = this.createInvocationContext(thisArgs);
-      return endpoint.call(ictx, payload, ...args);
+      // Not copied with the other values, since they hold the state of this invocation
+      Object.defineProperties(ictx, {
+        signal: { value: signal, enumerable: true },
+        attempt: { get: () => attempt, enumerable: true },
+        log: { value: this.invocationLogger(operation, thisArgs && thisArgs.context), enumerable: true },
+        metrics: { value: metrics, enumerable: true },
+        span: { value: span, enumerable: true },
+        services: { value: scope, enumerable: true }
+      });
+      injectServices(ictx, scope, metadata.inject);
+      const dispatch = (index, params) => Promise.try(() => {
+        if (index >= middleware.length) {
+          return retry(number => {
+            attempt = number;
+            return endpoint.apply(ictx, params);
+          }, metadata.retry, { deadline, signal });
+        }
+        const next = (...nextParams) => dispatch(index + 1, nextParams.length ? nextParams : params);
+        const fn = middleware[index];
+        const child = this.tracer.startSpan(`middleware ${fn.name || index}`, { parent: span.spanContext() });
+        return withSpan(child, () => fn.call(ictx, next, ...params));
+      });
+      return dispatch(0, [payload, ...args]);
+    }
+    const record = failed => {
+      if (!dispatched) {
+        recordInvocation(metrics, start, failed);
+      }
+    };
+    let invocation = Promise.try(_invoke);
+    if (timeout !== undefined) {
+      // Only this timeout expiring fails the invocation, not the timeouts of the endpoint itself
+      const expired = new Promise.TimeoutError(`operation "${operation}" timed out`);
+      invocation = invocation.timeout(timeout, expired).catch(error => error === expired, () => {
+        const error = new TimeoutError(`operation "${operation}" timed out after ${timeout}ms`, { timeout });
+        abort(error);
+        throw error;
+      });
+    }
+    return invocation.then(result => {
+      record(false);
+      endSpan(span);
+      return result;
+    }, error => {
+      record(true);
+      endSpan(span, error);
+      throw error;
+    });
+  }
+
+  /**
+   * Creates the {@link Logger} of an invocation, which adds the operation and
+   * the AWS request ID to every entry.
+   * @param {string} [operation] - the operation being handled
+   * @param {AWSLambdaContext} [context] - the AWS Lambda context
+   * @return {Logger} the logger
+   * @private
+   * @since 2.0.0
+   */
+  invocationLogger(operation, context) {
+    return this.logger.child({ operation, awsRequestId: context && context.awsRequestId });
+  }
+
+  /**
+   * Creates the {@link Metrics} of an invocation, with the route of the
+   * endpoint as the `Operation` dimension, and the operation and the AWS
+   * request ID as properties. Path parameters are kept out of the dimension,
+   * since each of its values is a metric of its own. When the `metrics`
+   * option isn't set, the metrics are recorded but discarded, so that
+   * endpoints can put metrics either way.
+   * @param {string} [route] - the route of the endpoint, see {@link Handler#resolveEndpoint}
+   * @param {AWSLambdaContext} [context] - the AWS Lambda context
+   * @param {string} [operation] - the operation being handled, the route by default
+   * @return {Metrics} the metrics
+   * @private
+   * @since 2.0.0
+   */
+  invocationMetrics(route, context, operation = route) {
+    if (!this.metrics) {
+      return new Metrics({ sink: null });
+    }
+    const metrics = this.metrics.child(typeof route === 'string' ? { Operation: route } : {});
+    if (typeof operation === 'string') {
+      metrics.setProperty('operation', operation);
+    }
+    if (context && context.awsRequestId) {
+      metrics.setProperty('awsRequestId', context.awsRequestId);
+    }
+    return metrics;
+  }
+
+  /**
+   * Decodes the path parameters captured from an operation, see
+   * {@link Handler#resolveEndpoint}. Operations aren't encoded, so they are
+   * returned as-is; subclasses for events whose operation is encoded, such as
+   * {@link HttpHandler}, override this.
+   * @param {Object} params - the captured path parameters
+   * @return {Object} the decoded path parameters
+   * @private
+   * @since 2.0.0
+   */
+  decodeParams(params) {
+    return params;
+  }
+
+  /**
+   * Gets how long an invocation may take before it fails with a
+   * {@link TimeoutError}. This is the `timeout` of the {@link EndpointMetadata},
+   * or else the `timeout` in {@link HandlerOptions}, but never more than the
+   * time remaining before AWS Lambda would stop the invocation, less the
+   * `timeoutMargin` in {@link HandlerOptions}. That leaves time to report the
+   * error instead of being stopped without one.
+   * @param {EndpointMetadata} metadata - the metadata of the endpoint
+   * @param {AWSLambdaContext} [context] - the AWS Lambda context
+   * @return {number} the timeout in milliseconds, or `undefined` if there is no limit
+   * @private
+   * @since 2.0.0
+   */
+  invocationTimeout(metadata, context) {
+    const { timeout = this.options.timeout } = metadata;
+    const { timeoutMargin = _defaultTimeoutMargin } = this.options;
+    const limits = isUndefinedOrNull(timeout) ? [] : [timeout];
+    if (context && typeof context.getRemainingTimeInMillis === 'function') {
+      limits.push(Math.max(0, context.getRemainingTimeInMillis() - timeoutMargin));
     }
-    return Promise.try(_invoke);
+    return limits.length ? Math.min(...limits) : undefined;
   }
 
   /**
    * Resolves an operation name to a prototype method of a derived class. This
-   * method is a wrapper for {@link Handler.getEndpointMetadata} that type checks
-   * the operation name to make sure it isn't `null` or `undefined`, then attempts
-   * to retrieve the endpoint and metadata.
+   * method type checks the operation name to make sure it isn't `null` or
+   * `undefined`, then looks for an {@link Endpoint} whose operation name (the
+   * method name, unless overridden with the `name` option of {@link operation})
+   * or one of whose aliases matches.
+   *
+   * Operation names are paths made of segments separated by `/`, and a segment
+   * written as `{param}` matches any value, which is captured as a path
+   * parameter. An endpoint can also be a getter that returns a {@link Handler}
+   * subclass, which is created once as a nested handler, in which case the segments
+   * that follow its name are resolved by the nested handler. For example, the
+   * operation `groups/42/members` resolves `members` in the handler registered
+   * as `groups/{groupId}`, with `{ groupId: '42' }` as the path parameters.
    * @param {string} operation - the name of the operation to resolve
-   * @return {Array} - an array with two elements: the endpoint function and the metadata
+   * @return {Array} - an array with six elements
    * @property {Endpoint} 0 - the endpoint function
    * @property {EndpointMetadata} 1 - the endpoint metadata
+   * @property {Object} 2 - the path parameters captured from the operation
+   * @property {Handler} 3 - the handler that owns the endpoint, which differs
+   * from this handler when the operation was delegated
+   * @property {EndpointMetadata[]} 4 - the metadata of the endpoints that
+   * delegated the operation to nested handlers, outermost first, whose
+   * `authorize` options apply along with the one of the endpoint
+   * @property {string} 5 - the route of the endpoint: the names that matched
+   * the operation, with their path parameters in braces, e.g. `groups/{groupId}/members`
    * @throws {TypeError} if `operation` is not a string, or if the endpoint has
    * invalid metadata.
-   * @throws {Error} if an endpoint cannot be found
+   * @throws {NotFoundError} if an endpoint cannot be found
    * @since 2.0.0
    */
   resolveEndpoint(operation) {
     checkType(operation, 'operation', ['string']);
 
+    // Built-in operation that describes the handler, only when enabled
+    const describe = this.options.describeOperation;
+    const { name: describeName, authorize: requirement } = typeof describe === 'string' ? { name: describe } : describe || {};
+    if (describeName && operation === describeName) {
+      const metadata = requirement === undefined ? {} : { authorize: requirement };
+      return [describeOperations, Object.assign({}, _defaultMetadata, metadata), {}, this, [], operation];
+    }
+
     // Throw the same error for not found and for metadata issues
     const notFound = () => {
-      throw new Error(`endpoint not found for operation "${operation}"`);
+      throw new NotFoundError(`endpoint not found for operation "${operation}"`);
     };
 
-    // Get endpoint and metadata (or throw)
-    const endpoint = this[operation];
-    if (!isUndefinedOrNull(endpoint)) {
-      try {
-        const metadata = Handler.getEndpointMetadata(endpoint);
-        if (!isUndefinedOrNull(metadata)) {
-          return [endpoint, metadata];
+    // Get endpoint and metadata (or throw), reporting bad metadata for the key
+    const onInvalid = (key, e) => {
+      if (key === operation) {
+        this.logger.error('invalid endpoint metadata', { operation, error: e });
+      }
+    };
+    const segments = operation.split('/');
+    const literal = [];
+    const parameterized = [];
+    collectOperations(this, onInvalid).forEach(entry => {
+      [entry.name].concat(entry.metadata.aliases || []).forEach(name => {
+        const match = matchPath(name, segments);
+        if (match) {
+          (Object.keys(match.params).length ? parameterized : literal).push([entry, Object.assign({ route: name }, match)]);
         }
-      } catch (e) {
-        console.error(e); //eslint-disable-line no-console
+      });
+    });
+
+    // Literal names take precedence over names with path parameters
+    const candidates = literal.concat(parameterized);
+    for (let i = 0; i < candidates.length; i++) {
+      const resolved = resolveMatch(this, ...candidates[i]);
+      if (resolved) {
+        return resolved;
       }
     }
 
@@ -360,13 +1687,93 @@ export class Handler {
 }
 
 /**
- * Operation decorator for handler methods. Decorating a method in a `Handler`
- * subclass will attach a {@link EndpointMetadata} to that method, making it
- * visible as an operation {@link Endpoint}.
+ * Validates the `inject` option of an operation.
+ * @param {string[]|Object} inject - the services to inject
+ * @throws {TypeError} if `inject` isn't an array or an object of service names
+ */
+function validateInjections(inject) {
+  const names = Array.isArray(inject) ? inject : Object.keys(inject).map(key => inject[key]);
+  if (typeof inject !== 'object' || !names.every(name => typeof name === 'string')) {
+    throw new TypeError(`invalid type for operation inject, must be an array or an object of service names`);
+  }
+}
+
+/**
+ * Validates the options passed to the {@link operation} decorator.
+ * @param {Object} options - the decorator options
+ * @throws {TypeError} if any of the options has the wrong type
+ */
+function validateOperationOptions(options) {
+  checkType(options, 'operation options', ['object']);
+  const { name, aliases, timeout, middleware } = options;
+  if (!isUndefinedOrNull(name)) {
+    checkType(name, 'operation name', ['string']);
+  }
+  if (!isUndefinedOrNull(aliases)) {
+    if (!Array.isArray(aliases)) {
+      throw new TypeError(`invalid type for operation aliases, must be an array`);
+    }
+    aliases.forEach(alias => checkType(alias, 'operation alias', ['string']));
+  }
+  if (!isUndefinedOrNull(timeout)) {
+    checkType(timeout, 'operation timeout', ['number']);
+  }
+  if (!isUndefinedOrNull(middleware)) {
+    [].concat(middleware).forEach(fn => checkType(fn, 'middleware', ['function']));
+  }
+  const validators = {
+    args: validateArgumentMappings,
+    retry: validateRetryPolicy,
+    inject: validateInjections,
+    authorize: validateAuthorization,
+    cache: validateCachePolicy,
+    idempotency: validateIdempotencyPolicy
+  };
+  Object.keys(validators).filter(key => !isUndefinedOrNull(options[key])).forEach(key => {
+    validators[key](options[key]);
+  });
+}
+
+/**
+ * Attaches a new {@link EndpointMetadata} built from `options` to the method
+ * being decorated.
+ * @param {Object} options - the decorator options
  * @param {Object} target - the target class of the decorator
  * @param {string} key - the key used to access the method being decorated
  * @param {Object} descriptor - the property descriptor of the method
  * @return {Object} the modified property descriptor of the method
+ */
+function decorateOperation(options, target, key, descriptor) {
+  const endpoint = descriptorEndpoint(descriptor);
+  Handler.validateEndpoint(endpoint);
+  const metadata = Object.assign({}, _defaultMetadata, options);
+  if (options.aliases) {
+    metadata.aliases = options.aliases.slice();
+  }
+  if (options.middleware) {
+    metadata.middleware = [].concat(options.middleware);
+  }
+  endpoint[Handler.metadataKey] = metadata;
+  descriptor.enumerable = true; // make visible for operation introspection
+  return descriptor;
+}
+
+/**
+ * Operation decorator for handler methods. Decorating a method in a `Handler`
+ * subclass will attach a {@link EndpointMetadata} to that method, making it
+ * visible as an operation {@link Endpoint}. The decorator can be used bare, or
+ * called with an options object whose properties are copied into the
+ * {@link EndpointMetadata}. The `name` and `aliases` options change which
+ * operation names resolve to the endpoint; the method name is only used when
+ * no `name` is given. Getters can be decorated too, in which case the metadata
+ * is attached to the getter function, which isn't invoked until the operation
+ * is resolved. A getter can return a function to invoke, a nested {@link Handler}
+ * to delegate to, or a literal value to respond with. Returning an `Error`
+ * makes the invocation fail with that error.
+ * @param {Object} [options] - options for the endpoint, see {@link EndpointMetadata}
+ * @return {Object|Function} the modified property descriptor of the method when
+ * used bare, otherwise a decorator
+ * @throws {TypeError} if the options are invalid
  * @since 2.0.0
  * @example
  *
@@ -377,12 +1784,110 @@ export class Handler {
  *   @operation
  *   decoratedOperation() { return 'handled'; }
  *
+ *   @operation({ name: 'users.get', aliases: ['GET /users'], deprecated: 'use users.find' })
+ *   getUser({ id }) { return db.getUser(id); }
+ *
+ *   @operation({ name: 'groups/{groupId}' })
+ *   get groups() { return GroupHandler; }
+ *
+ *   @operation
+ *   get version() { return '1.0.1'; }
+ *
+ *   @operation
+ *   get deleteUser() { return new NotImplementedError('not yet implemented'); }
+ *
  * }
  */
-export function operation(target, key, descriptor) {
-  const endpoint = target[key];
-  Handler.validateEndpoint(endpoint);
-  endpoint[Handler.metadataKey] = Object.assign({}, _defaultMetadata);
-  descriptor.enumerable = true; // make visible for operation introspection
-  return descriptor;
+export function operation(...args) {
+  // Used bare as @operation, called with (target, key, descriptor)
+  if (args.length >= 3) { //eslint-disable-line no-magic-numbers
+    return decorateOperation({}, ...args);
+  }
+  const [options = {}] = args;
+  validateOperationOptions(options);
+  return (...decoratorArgs) => decorateOperation(options, ...decoratorArgs);
+}
+
+/**
+ * Middleware decorator for handler methods. It attaches per-operation
+ * {@link Middleware} to the {@link EndpointMetadata} of an {@link Endpoint}, so
+ * it must be applied to a method that is already decorated with {@link operation}.
+ * Decorators are applied bottom-up, so place `@use` _above_ `@operation`.
+ * Middleware is run in the order listed, after the handler-wide middleware.
+ * @param {...Middleware} middleware - the middleware to attach
+ * @return {Function} the decorator
+ * @throws {TypeError} if a middleware isn't a function, or if the decorated
+ * method isn't an operation endpoint
+ * @since 2.0.0
+ * @example
+ *
+ * class TestHandler extends Handler {
+ *
+ *   @use(requireUser)
+ *   @operation
+ *   getProfile({ userId }) { return db.getProfile(userId); }
+ *
+ * }
+ */
+export function use(...middleware) {
+  middleware.forEach(fn => checkType(fn, 'middleware', ['function']));
+  return (target, key, descriptor) => {
+    const metadata = Handler.getEndpointMetadata(descriptorEndpoint(descriptor));
+    if (isUndefinedOrNull(metadata)) {
+      throw new TypeError(`@use must be applied above @operation for "${key}"`);
+    }
+    metadata.middleware = middleware.concat(metadata.middleware || []);
+    return descriptor;
+  };
+}
+
+/**
+ * Authorization decorator for handler methods. It sets the `authorize` option
+ * of the {@link EndpointMetadata}, so the caller must be allowed to call the
+ * operation before its middleware and endpoint run. Place `@authorize` _above_
+ * `@operation`. The {@link Identity} of the caller comes from the `identity`
+ * option in {@link HandlerOptions}. Without an identity, the operation fails
+ * with an {@link UnauthorizedError}, and with an identity that doesn't meet
+ * the requirement, with a {@link ForbiddenError}. The requirement is one of:
+ * <ul>
+ * <li>`true`, the default, which only requires an identity</li>
+ * <li>`{ roles, scopes, claims, check }`, which requires any of the `roles`,
+ * all of the `scopes`, and all of the `claims`, whose expected values are a
+ * value, an array of accepted values or a predicate, and the `check`</li>
+ * <li>a function, used as the `check`: it's given the identity and the
+ * `operation`, `event` and `context` of the call, and returns whether the
+ * caller is allowed, or a promise of it</li>
+ * </ul>
+ * On an endpoint that delegates to a nested {@link Handler}, the requirement
+ * applies to every operation of the nested handler, and is checked before the
+ * requirements of the nested endpoints.
+ * @param {boolean|Function|Object} [requirement] - who may call the operation
+ * @return {Function} the decorator
+ * @throws {TypeError} if the requirement is invalid, or if the decorated
+ * method isn't an operation endpoint
+ * @since 2.0.0
+ * @example
+ *
+ * class UserHandler extends Handler {
+ *
+ *   @authorize({ roles: ['admin'], claims: { 'custom:tenant': 'acme' } })
+ *   @operation
+ *   deleteUser({ id }) { return db.deleteUser(id); }
+ *
+ *   @authorize((identity, { event }) => identity.id === event.pathParameters.id)
+ *   @operation
+ *   getProfile({ id }) { return db.getProfile(id); }
+ *
+ * }
+ */
+export function authorize(requirement = true) {
+  validateAuthorization(requirement);
+  return (target, key, descriptor) => {
+    const metadata = Handler.getEndpointMetadata(descriptorEndpoint(descriptor));
+    if (isUndefinedOrNull(metadata)) {
+      throw new TypeError(`@authorize must be applied above @operation for "${key}"`);
+    }
+    metadata.authorize = requirement;
+    return descriptor;
+  };
 }
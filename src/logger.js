@@ -0,0 +1,161 @@
+/**
+ * Severity of each log level. Entries below the level of a {@link Logger} are
+ * dropped, and the "silent" level drops every entry.
+ * @type {Object}
+ */
+const _levels = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: Infinity
+};
+
+/**
+ * Value that replaces redacted fields.
+ * @type {string}
+ */
+const _redacted = '[REDACTED]';
+
+/**
+ * Default sink, which writes each entry to the console method matching its level,
+ * so that AWS Lambda forwards it to CloudWatch Logs.
+ * @param {string} line - the JSON line
+ * @param {string} level - the level of the entry
+ */
+function consoleSink(line, level) {
+  const method = level === 'error' || level === 'warn' ? level : 'log';
+  console[method](line); //eslint-disable-line no-console
+}
+
+/**
+ * Converts errors to plain objects, since their properties aren't enumerable.
+ * Errors with a `toJSON()` method, such as {@link HandlerError}, are serialized
+ * by that method instead.
+ * @param {Error} error - the error
+ * @return {Object} the `name`, `message`, `code` and `stack` of the error
+ */
+function serializeError(error) {
+  return { name: error.name, message: error.message, code: error.code, stack: error.stack };
+}
+
+/**
+ * Logger that writes structured entries as JSON lines, as `this.log` in the
+ * {@link InvocationContext}. Each entry has a `level`, a `time`, a `message`,
+ * the fields of the logger and the data passed with the message. Fields whose
+ * name is listed in `redact` are replaced with "[REDACTED]" at any depth.
+ * Errors are serialized with their name, message and stack.
+ * @since 2.0.0
+ * @example
+ *
+ * const logger = new Logger({ level: 'debug', redact: ['password'] });
+ * logger.child({ operation: 'login' }).info('logging in', { user: 'ann', password: 'secret' });
+ * // {"level":"info","time":"...","message":"logging in","operation":"login","user":"ann","password":"[REDACTED]"}
+ */
+export class Logger {
+  /**
+   * Creates a new logger.
+   * @param {Object} [options] - options for the logger
+   * @param {string} [options.level] - the minimum level of the entries that
+   * are written, one of "debug", "info", "warn", "error" or "silent". The
+   * default is the `LOG_LEVEL` environment variable, or else "info".
+   * @param {function(line: string, level: string)} [options.sink] - writes
+   * each JSON line, to the console by default
+   * @param {string[]} [options.redact] - the names of the fields to redact
+   * @param {Object} [options.fields] - fields added to every entry
+   * @throws {TypeError} if the level is unknown
+   */
+  constructor(options = {}) {
+    const { level = process.env.LOG_LEVEL || 'info', sink = consoleSink, redact = [], fields = {} } = options;
+    if (!_levels.hasOwnProperty(level)) {
+      throw new TypeError(`invalid log level "${level}"`);
+    }
+    /** @type {string} */
+    this.level = level;
+    /** @type {Function} */
+    this.sink = sink;
+    /** @type {string[]} */
+    this.redact = redact;
+    /** @type {Object} */
+    this.fields = fields;
+  }
+
+  /**
+   * Checks whether entries of a level are written.
+   * @param {string} level - the level
+   * @return {boolean} `true` if entries of the level are written
+   */
+  isEnabled(level) {
+    return _levels[level] >= _levels[this.level];
+  }
+
+  /**
+   * Creates a logger that adds `fields` to every entry, in addition to the
+   * fields of this logger.
+   * @param {Object} fields - the fields to add
+   * @return {Logger} the child logger
+   */
+  child(fields) {
+    const { level, sink, redact } = this;
+    return new Logger({ level, sink, redact, fields: Object.assign({}, this.fields, fields) });
+  }
+
+  /**
+   * Writes an entry.
+   * @param {string} level - the level of the entry
+   * @param {string|Error} message - the message, or an error whose message is
+   * used and which is added to the data as `error`
+   * @param {Object} [data] - additional fields of the entry
+   */
+  write(level, message, data) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+    const error = message instanceof Error ? { error: message } : {};
+    const text = message instanceof Error ? message.message : message;
+    const entry = Object.assign({ level, time: new Date().toISOString(), message: text }, this.fields, error, data);
+    const line = JSON.stringify(entry, (key, value) => {
+      if (key && this.redact.indexOf(key) >= 0) {
+        return _redacted;
+      }
+      return value instanceof Error ? serializeError(value) : value;
+    });
+    this.sink(line, level);
+  }
+
+  /**
+   * Writes a "debug" entry, see {@link Logger#write}.
+   * @param {string|Error} message - the message
+   * @param {Object} [data] - additional fields of the entry
+   */
+  debug(message, data) {
+    this.write('debug', message, data);
+  }
+
+  /**
+   * Writes an "info" entry, see {@link Logger#write}.
+   * @param {string|Error} message - the message
+   * @param {Object} [data] - additional fields of the entry
+   */
+  info(message, data) {
+    this.write('info', message, data);
+  }
+
+  /**
+   * Writes a "warn" entry, see {@link Logger#write}.
+   * @param {string|Error} message - the message
+   * @param {Object} [data] - additional fields of the entry
+   */
+  warn(message, data) {
+    this.write('warn', message, data);
+  }
+
+  /**
+   * Writes an "error" entry, see {@link Logger#write}.
+   * @param {string|Error} message - the message
+   * @param {Object} [data] - additional fields of the entry
+   */
+  error(message, data) {
+    this.write('error', message, data);
+  }
+}
@@ -0,0 +1,148 @@
+/**
+ * Units that CloudWatch accepts for a metric.
+ * @type {string[]}
+ */
+const _units = [
+  'Seconds', 'Microseconds', 'Milliseconds',
+  'Bytes', 'Kilobytes', 'Megabytes', 'Gigabytes', 'Terabytes',
+  'Bits', 'Kilobits', 'Megabits', 'Gigabits', 'Terabits',
+  'Percent', 'Count',
+  'Bytes/Second', 'Kilobytes/Second', 'Megabytes/Second', 'Gigabytes/Second', 'Terabytes/Second',
+  'Bits/Second', 'Kilobits/Second', 'Megabits/Second', 'Gigabits/Second', 'Terabits/Second',
+  'Count/Second', 'None'
+];
+
+/**
+ * Default sink, which writes each document to stdout, where AWS Lambda picks it
+ * up for CloudWatch Logs to extract the metrics.
+ * @param {string} line - the JSON document
+ */
+function stdoutSink(line) {
+  console.log(line); //eslint-disable-line no-console
+}
+
+/**
+ * Records metrics and emits them in the CloudWatch Embedded Metric Format
+ * (EMF), as JSON lines that CloudWatch Logs turns into metrics without calls
+ * to the CloudWatch API. Each {@link Metrics#flush} emits one document with
+ * the metrics put since the last one, under the namespace and dimensions of
+ * the instance. Endpoints get one as `this.metrics` in the
+ * {@link InvocationContext}, with the operation as a dimension.
+ * @since 2.0.0
+ * @example
+ *
+ * const metrics = new Metrics({ namespace: 'shop', dimensions: { Service: 'orders' } });
+ * metrics.put('ItemsSold', 3);
+ * metrics.put('Latency', 120, 'Milliseconds');
+ * metrics.flush();
+ * // {"_aws":{"Timestamp":...,"CloudWatchMetrics":[{"Namespace":"shop","Dimensions":[["Service"]],
+ * //   "Metrics":[{"Name":"ItemsSold","Unit":"Count"},{"Name":"Latency","Unit":"Milliseconds"}]}]},
+ * //   "Service":"orders","ItemsSold":3,"Latency":120}
+ */
+export class Metrics {
+  /**
+   * Creates a new metrics recorder.
+   * @param {Object} [options] - options for the metrics
+   * @param {string} [options.namespace] - the CloudWatch namespace of the
+   * metrics, "lambda6" by default
+   * @param {Object} [options.dimensions] - dimension names and values that
+   * every metric is recorded under
+   * @param {?function(line: string)} [options.sink] - writes each JSON
+   * document, to stdout by default, or `null` to discard the metrics
+   * @throws {TypeError} if the namespace or a dimension value is not a string
+   */
+  constructor(options = {}) {
+    const { namespace = 'lambda6', dimensions = {}, sink = stdoutSink } = options;
+    if (typeof namespace !== 'string' || !namespace) {
+      throw new TypeError(`invalid metrics namespace, must be a non-empty string`);
+    }
+    Object.keys(dimensions).forEach(name => {
+      if (typeof dimensions[name] !== 'string') {
+        throw new TypeError(`invalid value for dimension "${name}", must be a string`);
+      }
+    });
+    /** @type {string} */
+    this.namespace = namespace;
+    /** @type {Object} */
+    this.dimensions = dimensions;
+    /** @type {?Function} */
+    this.sink = sink;
+    this.values = {};
+    this.units = {};
+    this.properties = {};
+  }
+
+  /**
+   * Creates an empty recorder with the namespace and sink of this one, and
+   * `dimensions` in addition to its dimensions.
+   * @param {Object} dimensions - the dimensions to add
+   * @return {Metrics} the child recorder
+   */
+  child(dimensions) {
+    const { namespace, sink } = this;
+    return new Metrics({ namespace, sink, dimensions: Object.assign({}, this.dimensions, dimensions) });
+  }
+
+  /**
+   * Records a value of a metric. Values put more than once for the same metric
+   * are emitted as an array.
+   * @param {string} name - the name of the metric
+   * @param {number} value - the value
+   * @param {string} [unit] - the unit, "Count" by default
+   * @throws {TypeError} if the name, value or unit is invalid
+   */
+  put(name, value, unit = 'Count') {
+    if (typeof name !== 'string' || !name) {
+      throw new TypeError(`invalid metric name, must be a non-empty string`);
+    }
+    if (typeof value !== 'number' || !isFinite(value)) {
+      throw new TypeError(`invalid value for metric "${name}", must be a finite number`);
+    }
+    if (_units.indexOf(unit) < 0) {
+      throw new TypeError(`invalid unit for metric "${name}": ${unit}`);
+    }
+    this.values[name] = (this.values[name] || []).concat(value);
+    this.units[name] = unit;
+  }
+
+  /**
+   * Adds a property to the next document, which is searchable in CloudWatch
+   * Logs without being a metric or a dimension, e.g. a request ID.
+   * @param {string} name - the name of the property
+   * @param {*} value - the value
+   */
+  setProperty(name, value) {
+    this.properties[name] = value;
+  }
+
+  /**
+   * Emits the recorded metrics as one EMF document, then clears them. Nothing
+   * is emitted if no metric was put.
+   */
+  flush() {
+    const names = Object.keys(this.values);
+    if (!names.length) {
+      return;
+    }
+    const document = Object.assign({
+      _aws: {
+        Timestamp: Date.now(),
+        CloudWatchMetrics: [{
+          Namespace: this.namespace,
+          Dimensions: [Object.keys(this.dimensions)],
+          Metrics: names.map(name => ({ Name: name, Unit: this.units[name] }))
+        }]
+      }
+    }, this.properties, this.dimensions);
+    names.forEach(name => {
+      const values = this.values[name];
+      document[name] = values.length === 1 ? values[0] : values;
+    });
+    this.values = {};
+    this.units = {};
+    this.properties = {};
+    if (this.sink) {
+      this.sink(JSON.stringify(document));
+    }
+  }
+}
@@ -0,0 +1,136 @@
+import Promise from 'bluebird';
+import { HandlerError, serverErrorStatus } from './errors';
+
+/**
+ * A retry policy declares how an {@link Endpoint} is retried when it fails. It
+ * is set as `retry` in the {@link EndpointMetadata}.
+ * @typedef {Object} RetryPolicy
+ * @property {number} [attempts] - the maximum number of attempts, including
+ * the first one, 3 by default
+ * @property {number} [delay] - the delay before the second attempt, in
+ * milliseconds, 100 by default
+ * @property {number} [factor] - what the delay is multiplied by after each
+ * attempt, 2 by default
+ * @property {number} [maxDelay] - the maximum delay, in milliseconds, 5000 by
+ * default
+ * @property {boolean} [jitter] - whether the delay is randomized between 0 and
+ * its full value ("full jitter"), which spreads out the retries of concurrent
+ * invocations, `true` by default
+ * @property {Function|Array} [retryable] - which errors are retried: a
+ * function that is given the error and returns whether to retry, or an array
+ * of error classes and error codes. By default, any error except a
+ * {@link HandlerError} whose `status` is below 500, since client errors would
+ * fail again.
+ * @since 2.0.0
+ * @example
+ *
+ * @operation({ retry: { attempts: 5, delay: 200, retryable: ['THROTTLED', NetworkError] } })
+ * getQuote(symbol) { return quotes.get(symbol); }
+ */
+const _defaultPolicy = {
+  attempts: 3,
+  delay: 100,
+  factor: 2,
+  maxDelay: 5000,
+  jitter: true
+};
+
+/**
+ * Checks whether an error is retried by a {@link RetryPolicy}.
+ * @param {*} error - the error
+ * @param {Function|Array} [retryable] - the `retryable` option of the policy
+ * @return {boolean} `true` if the error is retried
+ */
+function isRetryable(error, retryable) {
+  if (typeof retryable === 'function') {
+    return Boolean(retryable(error));
+  }
+  if (Array.isArray(retryable)) {
+    return retryable.some(type => {
+      if (typeof type === 'function') {
+        return error instanceof type;
+      }
+      return Boolean(error) && error.code === type;
+    });
+  }
+  return !(error instanceof HandlerError && error.status < serverErrorStatus);
+}
+
+/**
+ * Gets the delay before the next attempt, see {@link RetryPolicy}.
+ * @param {number} attempt - the number of the attempt that failed, from 1
+ * @param {RetryPolicy} policy - the retry policy, with defaults applied
+ * @return {number} the delay in milliseconds
+ */
+function backoff(attempt, { delay, factor, maxDelay, jitter }) {
+  const full = Math.min(maxDelay, delay * Math.pow(factor, attempt - 1));
+  return jitter ? Math.random() * full : full;
+}
+
+/**
+ * Validates a {@link RetryPolicy}.
+ * @param {RetryPolicy} policy - the policy to validate
+ * @throws {TypeError} if the policy or one of its options is invalid
+ * @since 2.0.0
+ */
+export function validateRetryPolicy(policy) {
+  if (policy === null || typeof policy !== 'object') {
+    throw new TypeError(`invalid type for retry policy, must be an object`);
+  }
+  const { attempts, retryable, jitter } = policy;
+  if (attempts !== undefined && !(Number.isInteger(attempts) && attempts >= 1)) {
+    throw new TypeError(`invalid retry attempts, must be a positive integer`);
+  }
+  ['delay', 'factor', 'maxDelay'].forEach(name => {
+    const value = policy[name];
+    if (value !== undefined && !(typeof value === 'number' && value >= 0)) {
+      throw new TypeError(`invalid retry ${name}, must be a non-negative number`);
+    }
+  });
+  if (jitter !== undefined && typeof jitter !== 'boolean') {
+    throw new TypeError(`invalid retry jitter, must be a boolean`);
+  }
+  const types = Array.isArray(retryable) ? retryable : [];
+  const validTypes = types.every(type => typeof type === 'function' || typeof type === 'string');
+  if (retryable !== undefined && typeof retryable !== 'function' && !(Array.isArray(retryable) && validTypes)) {
+    throw new TypeError(`invalid retry retryable, must be a function or an array of error classes and codes`);
+  }
+}
+
+/**
+ * Calls `fn` until it succeeds, following a {@link RetryPolicy}. The last error
+ * is thrown once the attempts are exhausted, when the error isn't retryable,
+ * when waiting for the next attempt would go past the `deadline`, or when the
+ * `signal` is aborted.
+ * @param {Function} fn - the function to call, which is given the number of
+ * the attempt, from 1
+ * @param {RetryPolicy} [policy] - the retry policy; without one, `fn` is only
+ * called once
+ * @param {Object} [options] - when to give up
+ * @param {number} [options.deadline] - the time after which no attempt is
+ * started, in milliseconds since the epoch
+ * @param {CancellationSignal} [options.signal] - stops the retries when aborted
+ * @return {Promise} that resolves to the result of the successful attempt
+ * @since 2.0.0
+ */
+export function retry(fn, policy, { deadline, signal } = {}) {
+  const options = Object.assign({}, _defaultPolicy, policy);
+  const attempts = policy ? options.attempts : 1;
+  const aborted = () => Boolean(signal && signal.aborted);
+  const attempt = number => Promise.try(() => fn(number)).catch(error => {
+    if (number >= attempts || aborted() || !isRetryable(error, options.retryable)) {
+      throw error;
+    }
+    const wait = backoff(number, options);
+    if (deadline !== undefined && Date.now() + wait >= deadline) {
+      throw error;
+    }
+    return Promise.delay(wait).then(() => {
+      if (aborted()) {
+        throw error;
+      }
+      return attempt(number + 1);
+    });
+  });
+  return attempt(1);
+}
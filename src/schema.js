@@ -0,0 +1,188 @@
+/**
+ * Gets the JSON Schema type name of a value. Integers are reported as
+ * `integer`, which also satisfies a `number` type in {@link matchesType}.
+ * @param {*} value - the value to check
+ * @return {string} one of `null`, `array`, `integer`, `number`, `string`,
+ * `boolean`, `object` or the `typeof` value for anything else
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  if (typeof value === 'number' && Math.floor(value) === value && isFinite(value)) {
+    return 'integer';
+  }
+  return typeof value;
+}
+
+/**
+ * Checks a value against the `type` keyword of a schema.
+ * @param {*} value - the value to check
+ * @param {string|string[]} types - the allowed type or types
+ * @return {boolean} `true` if the value has one of the allowed types
+ */
+function matchesType(value, types) {
+  const actual = typeOf(value);
+  return [].concat(types).some(type => type === actual || (type === 'number' && actual === 'integer'));
+}
+
+/**
+ * Checks whether two JSON values are deeply equal, which is used for the
+ * `enum` and `const` keywords.
+ * @param {*} a - the first value
+ * @param {*} b - the second value
+ * @return {boolean} `true` if the values are equal
+ */
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Validators for the keywords that apply to every type of value. Each one is
+ * called with the value, the keyword value, the schema and a `report` function.
+ * @type {Object}
+ */
+const genericKeywords = {
+  enum(value, allowed, schema, report) {
+    if (!allowed.some(item => isEqual(item, value))) {
+      report(`must be one of ${JSON.stringify(allowed)}`);
+    }
+  },
+  const(value, expected, schema, report) {
+    if (!isEqual(expected, value)) {
+      report(`must be equal to ${JSON.stringify(expected)}`);
+    }
+  }
+};
+
+/**
+ * Validators for the keywords that only apply to a given type of value. They
+ * are skipped for values of another type, as in JSON Schema.
+ * @type {Object}
+ */
+const typedKeywords = {
+  string: {
+    minLength(value, min, schema, report) {
+      if (value.length < min) {
+        report(`must have at least ${min} characters`);
+      }
+    },
+    maxLength(value, max, schema, report) {
+      if (value.length > max) {
+        report(`must have at most ${max} characters`);
+      }
+    },
+    pattern(value, pattern, schema, report) {
+      if (!new RegExp(pattern).test(value)) {
+        report(`must match pattern ${pattern}`);
+      }
+    }
+  },
+  number: {
+    minimum(value, min, schema, report) {
+      if (value < min) {
+        report(`must be >= ${min}`);
+      }
+    },
+    maximum(value, max, schema, report) {
+      if (value > max) {
+        report(`must be <= ${max}`);
+      }
+    },
+    exclusiveMinimum(value, min, schema, report) {
+      if (value <= min) {
+        report(`must be > ${min}`);
+      }
+    },
+    exclusiveMaximum(value, max, schema, report) {
+      if (value >= max) {
+        report(`must be < ${max}`);
+      }
+    }
+  },
+  array: {
+    minItems(value, min, schema, report) {
+      if (value.length < min) {
+        report(`must have at least ${min} items`);
+      }
+    },
+    maxItems(value, max, schema, report) {
+      if (value.length > max) {
+        report(`must have at most ${max} items`);
+      }
+    },
+    items(value, items, schema, report, visit) {
+      value.forEach((item, index) => visit(item, items, `[${index}]`));
+    }
+  },
+  object: {
+    required(value, required, schema, report) {
+      required.filter(key => !Object.prototype.hasOwnProperty.call(value, key))
+        .forEach(key => report('is required', `.${key}`));
+    },
+    properties(value, properties, schema, report, visit) {
+      Object.keys(properties)
+        .filter(key => Object.prototype.hasOwnProperty.call(value, key))
+        .forEach(key => visit(value[key], properties[key], `.${key}`));
+    },
+    additionalProperties(value, additional, schema, report, visit) {
+      const known = schema.properties || {};
+      Object.keys(value)
+        .filter(key => !Object.prototype.hasOwnProperty.call(known, key))
+        .forEach(key => {
+          if (additional === false) {
+            report('is not allowed', `.${key}`);
+          } else if (typeof additional === 'object') {
+            visit(value[key], additional, `.${key}`);
+          }
+        });
+    }
+  }
+};
+typedKeywords.integer = typedKeywords.number;
+
+/**
+ * Validates `value` against a JSON-Schema-style `schema` and collects every
+ * failure rather than stopping at the first one. The supported keywords are
+ * `type`, `enum`, `const`, `anyOf`, `properties`, `required`,
+ * `additionalProperties`, `items`, `minItems`, `maxItems`, `minLength`,
+ * `maxLength`, `pattern`, `minimum`, `maximum`, `exclusiveMinimum` and
+ * `exclusiveMaximum`. Other keywords are ignored.
+ * @param {*} value - the value to validate
+ * @param {Object} [schema] - the schema; a missing schema accepts any value
+ * @param {string} [path] - the path of `value`, used as the prefix of error paths
+ * @return {Array} of `{ path, message }` objects, empty if `value` is valid
+ * @since 2.0.0
+ * @example
+ *
+ * validate({ id: 'a' }, { type: 'object', properties: { id: { type: 'integer' } } }, 'payload');
+ * // [{ path: 'payload.id', message: 'must be integer' }]
+ */
+export function validate(value, schema, path = '') {
+  const errors = [];
+  const visit = (childValue, childSchema, childPath) => {
+    if (!childSchema || typeof childSchema !== 'object') {
+      return;
+    }
+    const report = (message, suffix = '') => errors.push({ path: `${childPath}${suffix}`, message });
+    if (childSchema.type && !matchesType(childValue, childSchema.type)) {
+      report(`must be ${[].concat(childSchema.type).join(' or ')}`);
+      return;
+    }
+    if (childSchema.anyOf && !childSchema.anyOf.some(option => !validate(childValue, option).length)) {
+      report('must match a schema in anyOf');
+    }
+    const keywords = Object.assign({}, genericKeywords, typedKeywords[typeOf(childValue)]);
+    Object.keys(keywords)
+      .filter(keyword => keyword in childSchema)
+      .forEach(keyword => {
+        const nestedVisit = (v, s, suffix) => visit(v, s, `${childPath}${suffix}`);
+        keywords[keyword](childValue, childSchema[keyword], childSchema, report, nestedVisit);
+      });
+  };
+  visit(value, schema, path);
+  return errors;
+}
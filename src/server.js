@@ -0,0 +1,205 @@
+import http from 'http';
+import path from 'path';
+import url from 'url';
+import querystring from 'querystring';
+import Promise from 'bluebird';
+import { isHandler, HandlerError, BadRequestError, serializeError } from './index';
+import { HttpHandler } from './http';
+import { createContext } from './context';
+
+/**
+ * Default port of the dev server.
+ * @type {number}
+ */
+const _defaultPort = 3000;
+
+/**
+ * Status code of successful responses.
+ * @type {number}
+ */
+const _ok = 200;
+
+/**
+ * Usage of the `lambda6-serve` command.
+ * @type {string}
+ */
+export const usage = `usage: lambda6-serve <module> [--handler <export>] [--port <port>] [--timeout <ms>]
+
+Serves the Handler subclass exported by <module> over HTTP. Events are POSTed as
+JSON, unless the handler is an HttpHandler, which is sent HTTP requests as-is.
+
+  --handler  the name of the export, "default" by default
+  --port     the port to listen on, ${_defaultPort} by default
+  --timeout  the timeout of each invocation in milliseconds, 3000 by default`;
+
+/**
+ * Reads the body of an HTTP request.
+ * @param {http.IncomingMessage} req - the request
+ * @return {Promise} that resolves to the body as a string
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Turns an HTTP request into a Lambda function URL event, which has the same
+ * format as API Gateway HTTP API (v2) events.
+ * @param {http.IncomingMessage} req - the request
+ * @param {string} body - the body of the request
+ * @param {AWSLambdaContext} context - the context of the invocation
+ * @return {Object} the event
+ */
+function toHttpEvent(req, body, context) {
+  const { pathname, query } = url.parse(req.url);
+  const params = querystring.parse(query || '');
+  const queryStringParameters = Object.keys(params).reduce((parameters, name) => {
+    parameters[name] = [].concat(params[name]).join(',');
+    return parameters;
+  }, {});
+  return {
+    version: '2.0',
+    rawPath: pathname,
+    rawQueryString: query || '',
+    queryStringParameters,
+    headers: req.headers,
+    requestContext: {
+      http: { method: req.method, path: pathname, sourceIp: req.socket.remoteAddress },
+      requestId: context.awsRequestId,
+      timeEpoch: Date.now()
+    },
+    body: body || undefined,
+    isBase64Encoded: false
+  };
+}
+
+/**
+ * Builds an HTTP response with a JSON body.
+ * @param {number} statusCode - the status code
+ * @param {*} value - the value to serialize as the body
+ * @return {Object} the `{ statusCode, headers, body }` response
+ */
+function jsonResponse(statusCode, value) {
+  const body = JSON.stringify(value === undefined ? null : value);
+  return { statusCode, headers: { 'content-type': 'application/json' }, body };
+}
+
+/**
+ * Creates an HTTP server that serves a {@link Handler}, to exercise it locally
+ * without deploying it. Each request is handled with a new context created by
+ * {@link createContext}.
+ * <ul>
+ * <li>For an {@link HttpHandler}, each request is turned into a Lambda function
+ * URL event and the response of the handler is sent back.</li>
+ * <li>For any other handler, the JSON body of a POST request is the event, and
+ * the result is sent back as JSON. Errors are sent back with the `status` of the
+ * error and the error envelope, see {@link serializeError}.</li>
+ * </ul>
+ * @param {Handler|Function} handler - the handler, or the {@link Handler}
+ * subclass to create one with the default options
+ * @param {Object} [options] - options for the context of each invocation, see
+ * {@link createContext}
+ * @return {http.Server} the server, which isn't listening yet
+ * @throws {TypeError} if `handler` isn't a handler or handler class
+ * @since 2.0.0
+ * @example
+ *
+ * import { createServer } from 'lambda6/server';
+ *
+ * createServer(MyHandler, { timeout: 10000 }).listen(3000);
+ * // curl -d '{"operation":"ping"}' http://localhost:3000
+ */
+export function createServer(handler, options = {}) {
+  if (!isHandler(handler)) {
+    throw new TypeError(`handler must be a Handler or a subclass of Handler`);
+  }
+  const instance = typeof handler === 'function' ? new handler() : handler;
+  const { serializeErrors } = instance.options;
+  const serializer = typeof serializeErrors === 'function' ? serializeErrors : serializeError;
+
+  function respond(req, body) {
+    const context = createContext(options);
+    if (instance instanceof HttpHandler) {
+      return instance.handle(toHttpEvent(req, body, context), context);
+    }
+    if (req.method !== 'POST') {
+      return { statusCode: 405, headers: { allow: 'POST' }, body: '' };
+    }
+    return Promise.try(() => JSON.parse(body))
+    .catch(e => {
+      throw new BadRequestError(`invalid JSON event: ${e.message}`);
+    })
+    .then(event => instance.handle(event, context))
+    .then(result => jsonResponse(_ok, result));
+  }
+
+  return http.createServer((req, res) => {
+    readBody(req)
+    .then(body => respond(req, body))
+    .catch(error => jsonResponse(HandlerError.from(error).status, serializer(error)))
+    .then(({ statusCode, headers, body }) => {
+      res.writeHead(statusCode, headers);
+      res.end(body);
+    });
+  });
+}
+
+/**
+ * Parses the arguments of the `lambda6-serve` command, see {@link usage}.
+ * @param {string[]} argv - the arguments
+ * @return {Object} the `module`, `handler`, `port` and `timeout`
+ * @throws {TypeError} if the arguments are invalid
+ */
+function parseArgs(argv) {
+  const args = { handler: 'default', port: _defaultPort };
+  const numbers = ['port', 'timeout'];
+  for (let i = 0; i < argv.length; i++) {
+    const flag = /^--(handler|port|timeout)$/.exec(argv[i]);
+    if (flag) {
+      const value = argv[++i];
+      args[flag[1]] = numbers.indexOf(flag[1]) >= 0 ? Number(value) : value;
+    } else if (!args.module && argv[i][0] !== '-') {
+      args.module = argv[i];
+    } else {
+      throw new TypeError(`unexpected argument "${argv[i]}"`);
+    }
+  }
+  if (!args.module) {
+    throw new TypeError(`module is required`);
+  }
+  numbers.filter(name => name in args).forEach(name => {
+    if (!(args[name] >= 0)) {
+      throw new TypeError(`invalid ${name}, must be a number`);
+    }
+  });
+  return args;
+}
+
+/**
+ * Runs the `lambda6-serve` command, which loads a module and serves the
+ * {@link Handler} subclass it exports with {@link createServer}. The module is
+ * loaded with `require()`, so it must be compiled, or Babel must be registered
+ * (e.g. `node -r babel-register`).
+ * @param {string[]} argv - the command-line arguments, see {@link usage}
+ * @param {Function} [log] - logs messages, `console.log` by default
+ * @return {http.Server} the listening server
+ * @throws {TypeError} if the arguments are invalid or the module doesn't
+ * export a {@link Handler} subclass
+ * @since 2.0.0
+ * @example
+ *
+ * lambda6-serve lib/handler.js --handler UserHandler --port 8080
+ */
+export function main(argv, log = console.log) { //eslint-disable-line no-console
+  const args = parseArgs(argv);
+  const loaded = require(path.resolve(args.module)); //eslint-disable-line global-require
+  const HandlerClass = args.handler === 'default' ? loaded.default || loaded : loaded[args.handler];
+  const server = createServer(HandlerClass, { timeout: args.timeout });
+  return server.listen(args.port, () => {
+    log(`lambda6 is serving ${args.module} at http://localhost:${server.address().port}`);
+  });
+}
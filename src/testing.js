@@ -0,0 +1,401 @@
+import assert from 'assert';
+import util from 'util';
+import Promise from 'bluebird';
+import { Handler, isHandler, createContext } from './index';
+import { HttpHandler } from './http';
+
+/**
+ * Console methods that are captured while a handler is invoked.
+ * @type {string[]}
+ */
+const _consoleLevels = ['log', 'info', 'warn', 'error'];
+
+/**
+ * Gets a handler instance from a handler or a {@link Handler} subclass.
+ * @param {Handler|Function} handler - the handler or handler class
+ * @return {Handler} the handler instance
+ * @throws {TypeError} if `handler` isn't a handler or handler class
+ */
+function handlerInstance(handler) {
+  if (!isHandler(handler)) {
+    throw new TypeError(`handler must be a Handler or a subclass of Handler`);
+  }
+  return typeof handler === 'function' ? new handler() : handler;
+}
+
+/**
+ * The `logs` of the captures in progress, see {@link captureConsole}.
+ * @type {Array[]}
+ */
+const _captures = [];
+
+/**
+ * The console methods replaced while captures are in progress.
+ * @type {Object}
+ */
+const _originals = {};
+
+/**
+ * Runs `fn` while the console is captured in `logs`, restoring it once the
+ * promise returned by `fn` settles. Captures can overlap, in which case the
+ * entries are added to the `logs` of each capture in progress.
+ * @param {Array} logs - where `{ level, message }` entries are added
+ * @param {Function} fn - the function to run
+ * @return {Promise} that settles like the promise returned by `fn`
+ */
+function captureConsole(logs, fn) {
+  if (!_captures.length) {
+    _consoleLevels.forEach(level => {
+      _originals[level] = console[level]; //eslint-disable-line no-console
+      console[level] = (...args) => { //eslint-disable-line no-console
+        const message = util.format(...args);
+        _captures.forEach(captured => captured.push({ level, message }));
+      };
+    });
+  }
+  _captures.push(logs);
+  return Promise.try(fn).finally(() => {
+    _captures.splice(_captures.indexOf(logs), 1);
+    if (!_captures.length) {
+      _consoleLevels.forEach(level => {
+        console[level] = _originals[level]; //eslint-disable-line no-console
+      });
+    }
+  });
+}
+
+/**
+ * Formats a value for an assertion message.
+ * @param {*} value - the value
+ * @return {string} the formatted value
+ */
+function format(value) {
+  return util.inspect(value, { depth: 4 });
+}
+
+/**
+ * Asserts that an error matches what is expected, see {@link expectOperation}.
+ * @param {*} error - the error
+ * @param {Function|string|RegExp|Object} [expected] - what is expected
+ * @throws {AssertionError} if the error doesn't match
+ */
+function assertError(error, expected) {
+  if (typeof expected === 'function') {
+    assert.ok(error instanceof expected, `expected ${format(error)} to be an instance of ${expected.name}`);
+  } else if (typeof expected === 'string') {
+    assert.strictEqual(error.message, expected);
+  } else if (expected instanceof RegExp) {
+    assert.ok(expected.test(error.message), `expected error message ${format(error.message)} to match ${expected}`);
+  } else if (expected) {
+    Object.keys(expected).forEach(key => assert.deepStrictEqual(error[key], expected[key]));
+  }
+}
+
+/**
+ * Creates an {@link AWSLambdaContext} for tests. It's created by
+ * {@link createContext}, and in addition:
+ * <ul>
+ * <li>`succeed()`, `fail()` and `done()` record the outcome of the invocation
+ * in `outcome`, as `{ success, result }` or `{ success, error }`</li>
+ * <li>`logs` collects the `{ level, message }` entries written to the console
+ * during {@link invoke} and {@link expectOperation}</li>
+ * </ul>
+ * @param {Object} [options] - options for the context, see {@link createContext}
+ * @return {AWSLambdaContext} the context
+ * @since 2.0.0
+ * @example
+ *
+ * const context = mockContext({ timeout: 1000 });
+ * return new MyHandler().handle({ operation: 'ping' }, context).then(() => {
+ *   context.outcome; // { success: true, result: 'pong' }
+ * });
+ */
+export function mockContext(options) {
+  const context = createContext(options);
+  return Object.assign(context, {
+    logs: [],
+    outcome: undefined,
+    succeed(result) {
+      context.outcome = { success: true, result };
+    },
+    fail(error) {
+      context.outcome = { success: false, error };
+    },
+    done(error, result) {
+      return error ? context.fail(error) : context.succeed(result);
+    }
+  });
+}
+
+/**
+ * Invokes a handler with an event as AWS Lambda would, see {@link Handler#handle}.
+ * What the handler writes to the console is captured in the `logs` of the
+ * context rather than printed. The console is global, so when invocations
+ * overlap, each of them captures everything written while it runs.
+ * @param {Handler|Function} handler - the handler, or the {@link Handler}
+ * subclass to create one with the default options
+ * @param {Object} event - the event
+ * @param {AWSLambdaContext} [context] - the context, {@link mockContext} by default
+ * @param {...args} [args] - additional arguments for {@link Handler#handle}
+ * @return {Promise} that settles like the one returned by {@link Handler#handle}
+ * @throws {TypeError} if `handler` isn't a handler or handler class
+ * @since 2.0.0
+ * @example
+ *
+ * const context = mockContext();
+ * return invoke(MyHandler, sqsEvent([{ operation: 'save' }]), context).then(result => {
+ *   context.logs; // [{ level: 'log', message: 'saved' }]
+ * });
+ */
+export function invoke(handler, event, context = mockContext(), ...args) {
+  const instance = handlerInstance(handler);
+  return captureConsole(context.logs || [], () => instance.handle(event, context, ...args));
+}
+
+/**
+ * Starts an assertion on the outcome of an operation. The operation is
+ * dispatched directly with the payload, regardless of how the handler extracts
+ * them from events, and the console is captured as by {@link invoke}. For an
+ * {@link HttpHandler}, the result is the one of the endpoint rather than an
+ * HTTP response, errors are rejected rather than turned into responses, and
+ * `this.query` and `this.headers` are empty. The
+ * returned object has two methods, which return a promise that rejects with an
+ * `AssertionError` if the outcome isn't the expected one:
+ * <ul>
+ * <li>`toResolveWith(expected)`: the result must deeply equal `expected`. The
+ * promise resolves to the result.</li>
+ * <li>`toRejectWith([expected])`: the operation must fail with an error that
+ * is an instance of `expected` if it's a class, whose message is `expected`
+ * if it's a string or matches it if it's a `RegExp`, or whose properties
+ * deeply equal those of `expected` if it's an object. The promise resolves to
+ * the error.</li>
+ * </ul>
+ * @param {Handler|Function} handler - the handler, or the {@link Handler}
+ * subclass to create one with the default options
+ * @param {string} operation - the operation to dispatch to
+ * @param [payload] - the payload
+ * @param {AWSLambdaContext} [context] - the context, {@link mockContext} by default
+ * @return {Object} with `toResolveWith()` and `toRejectWith()` methods
+ * @throws {TypeError} if `handler` isn't a handler or handler class
+ * @since 2.0.0
+ * @example
+ *
+ * it('should get a user', () => {
+ *   return expectOperation(UserHandler, 'users.get', { id: 1 }).toResolveWith({ id: 1, name: 'Ann' });
+ * });
+ *
+ * it('should not find a missing user', () => {
+ *   return expectOperation(UserHandler, 'users.get', { id: 2 }).toRejectWith({ code: 'NOT_FOUND' });
+ * });
+ */
+export function expectOperation(handler, operation, payload, context = mockContext()) {
+  const instance = handlerInstance(handler);
+  const run = () => captureConsole(context.logs || [], () => {
+    const request = { operation, event: { operation, payload }, context, payload };
+    if (instance instanceof HttpHandler) {
+      Object.assign(request, { query: {}, headers: {} });
+    }
+    // Skip the dispatch of subclasses, which may take the payload from elsewhere in the event
+    return Handler.prototype.dispatch.call(instance, request);
+  });
+  return {
+    toResolveWith(expected) {
+      return run().then(result => {
+        assert.deepStrictEqual(result, expected);
+        return result;
+      }, error => {
+        throw new assert.AssertionError({
+          message: `expected operation "${operation}" to resolve, but it rejected with ${format(error)}`
+        });
+      });
+    },
+    toRejectWith(expected) {
+      return run().then(result => {
+        throw new assert.AssertionError({
+          message: `expected operation "${operation}" to reject, but it resolved with ${format(result)}`
+        });
+      }, error => {
+        assertError(error, expected);
+        return error;
+      });
+    }
+  };
+}
+
+/**
+ * Serializes a message body as JSON, unless it's a string already.
+ * @param {*} body - the body
+ * @return {string} the serialized body
+ */
+function serialize(body) {
+  return typeof body === 'string' ? body : JSON.stringify(body);
+}
+
+/**
+ * Builds an SQS event with a message per body. Message IDs are "message-1",
+ * "message-2" and so on.
+ * @param {Array} bodies - the message bodies, serialized as JSON unless they
+ * are strings
+ * @return {Object} the event
+ * @since 2.0.0
+ * @example
+ *
+ * sqsEvent([{ operation: 'orders.save', payload: { id: 1 } }]);
+ */
+export function sqsEvent(bodies) {
+  return {
+    Records: bodies.map((body, index) => ({
+      messageId: `message-${index + 1}`,
+      receiptHandle: `receipt-${index + 1}`,
+      body: serialize(body),
+      attributes: { ApproximateReceiveCount: '1' },
+      messageAttributes: {},
+      eventSource: 'aws:sqs',
+      eventSourceARN: 'arn:aws:sqs:local:000000000000:queue',
+      awsRegion: 'local'
+    }))
+  };
+}
+
+/**
+ * Builds an SNS event with a record per message. Message IDs are "message-1",
+ * "message-2" and so on.
+ * @param {Array} messages - the messages, serialized as JSON unless they are
+ * strings
+ * @return {Object} the event
+ * @since 2.0.0
+ */
+export function snsEvent(messages) {
+  return {
+    Records: messages.map((message, index) => ({
+      EventSource: 'aws:sns',
+      EventVersion: '1.0',
+      Sns: {
+        Type: 'Notification',
+        MessageId: `message-${index + 1}`,
+        TopicArn: 'arn:aws:sns:local:000000000000:topic',
+        Message: serialize(message),
+        Timestamp: new Date().toISOString()
+      }
+    }))
+  };
+}
+
+/**
+ * Builds a Kinesis event with a record per data value, encoded in base64.
+ * Sequence numbers are "1", "2" and so on.
+ * @param {Array} data - the data, serialized as JSON unless they are strings
+ * @return {Object} the event
+ * @since 2.0.0
+ */
+export function kinesisEvent(data) {
+  return {
+    Records: data.map((value, index) => ({
+      eventSource: 'aws:kinesis',
+      eventID: `shardId-000000000000:${index + 1}`,
+      kinesis: {
+        partitionKey: 'partition',
+        sequenceNumber: String(index + 1),
+        data: Buffer.from(serialize(value)).toString('base64')
+      }
+    }))
+  };
+}
+
+/**
+ * Builds a DynamoDB Streams event with a record per change. Sequence numbers
+ * are "1", "2" and so on.
+ * @param {Object[]} changes - the `{ eventName, Keys, NewImage, OldImage }` of
+ * each change, where `eventName` is "INSERT" by default
+ * @return {Object} the event
+ * @since 2.0.0
+ */
+export function dynamodbEvent(changes) {
+  return {
+    Records: changes.map(({ eventName = 'INSERT', Keys, NewImage, OldImage }, index) => ({
+      eventSource: 'aws:dynamodb',
+      eventName,
+      dynamodb: { Keys, NewImage, OldImage, SequenceNumber: String(index + 1), StreamViewType: 'NEW_AND_OLD_IMAGES' }
+    }))
+  };
+}
+
+/**
+ * Builds the headers and body of an HTTP event. Bodies that aren't strings are
+ * serialized as JSON, with a matching `content-type` header.
+ * @param {Object} [options] - the `body` and `headers` of the request
+ * @return {Object} the `headers` and `body`
+ */
+function httpContent({ body, headers }) {
+  if (body === undefined || typeof body === 'string') {
+    return { headers: Object.assign({}, headers), body };
+  }
+  return { headers: Object.assign({ 'content-type': 'application/json' }, headers), body: JSON.stringify(body) };
+}
+
+/**
+ * Builds an API Gateway HTTP API (v2) event, which is also the format of
+ * Lambda function URL events, see {@link HttpHandler}.
+ * @param {string} method - the HTTP method
+ * @param {string} path - the request path
+ * @param {Object} [options] - the `body`, `query` and `headers` of the request
+ * @return {Object} the event
+ * @since 2.0.0
+ * @example
+ *
+ * httpEvent('POST', '/users', { body: { name: 'Ann' }, query: { dryRun: 'true' } });
+ */
+export function httpEvent(method, path, options = {}) {
+  const { headers, body } = httpContent(options);
+  const query = options.query || {};
+  return {
+    version: '2.0',
+    rawPath: path,
+    rawQueryString: Object.keys(query).map(name => `${name}=${encodeURIComponent(query[name])}`).join('&'),
+    queryStringParameters: Object.assign({}, query),
+    headers,
+    requestContext: { http: { method, path, sourceIp: '127.0.0.1' }, requestId: 'request' },
+    body,
+    isBase64Encoded: false
+  };
+}
+
+/**
+ * Builds an API Gateway REST API (v1) proxy event, see {@link HttpHandler}.
+ * @param {string} method - the HTTP method
+ * @param {string} path - the request path
+ * @param {Object} [options] - the `body`, `query` and `headers` of the request
+ * @return {Object} the event
+ * @since 2.0.0
+ */
+export function apiGatewayEvent(method, path, options = {}) {
+  const { headers, body } = httpContent(options);
+  return {
+    httpMethod: method,
+    path,
+    queryStringParameters: options.query ? Object.assign({}, options.query) : null,
+    headers,
+    requestContext: { httpMethod: method, path, requestId: 'request' },
+    body: body === undefined ? null : body,
+    isBase64Encoded: false
+  };
+}
+
+/**
+ * Builds a scheduled EventBridge (CloudWatch Events) event.
+ * @param {Object} [detail] - the detail of the event
+ * @return {Object} the event
+ * @since 2.0.0
+ */
+export function scheduledEvent(detail = {}) {
+  return {
+    version: '0',
+    id: 'event',
+    'detail-type': 'Scheduled Event',
+    source: 'aws.events',
+    time: new Date().toISOString(),
+    region: 'local',
+    resources: ['arn:aws:events:local:000000000000:rule/schedule'],
+    detail
+  };
+}
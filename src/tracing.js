@@ -0,0 +1,428 @@
+import crypto from 'crypto';
+import Promise from 'bluebird';
+
+/**
+ * Number of random bytes in a trace ID.
+ * @type {number}
+ */
+const _traceIdBytes = 16;
+
+/**
+ * Number of random bytes in a span ID.
+ * @type {number}
+ */
+const _spanIdBytes = 8;
+
+/**
+ * Radix of the hex digits in trace headers.
+ * @type {number}
+ */
+const _hex = 16;
+
+/**
+ * Trace flags of a sampled trace.
+ * @type {number}
+ */
+const _sampled = 1;
+
+/**
+ * The W3C `traceparent` header: version, trace ID, parent span ID and flags.
+ * @type {RegExp}
+ */
+const _traceparent = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+/**
+ * The `Root` of an AWS X-Ray trace header: version, epoch and unique ID, which
+ * together make up the 32 hex digits of a W3C trace ID.
+ * @type {RegExp}
+ */
+const _xrayRoot = /^1-([0-9a-f]{8})-([0-9a-f]{24})$/;
+
+/**
+ * Status codes of a span, with the values of OpenTelemetry's `SpanStatusCode`.
+ * @type {Object}
+ * @property {number} UNSET - the default status
+ * @property {number} OK - the operation succeeded
+ * @property {number} ERROR - the operation failed
+ * @since 2.0.0
+ */
+export const SpanStatusCode = {
+  UNSET: 0,
+  OK: 1,
+  ERROR: 2
+};
+
+/**
+ * Identifies a span within a trace, with the fields of OpenTelemetry's
+ * `SpanContext`.
+ * @typedef {Object} SpanContext
+ * @property {string} traceId - the ID of the trace, 32 hex digits
+ * @property {string} spanId - the ID of the span, 16 hex digits
+ * @property {number} traceFlags - 1 if the trace is sampled, else 0
+ * @since 2.0.0
+ */
+
+/**
+ * A timed operation of a trace. Spans have the methods of OpenTelemetry's
+ * `Span` that {@link Handler} uses: `setAttribute(key, value)`,
+ * `setAttributes(attributes)`, `addEvent(name, [attributes])`,
+ * `recordException(error)`, `setStatus({ code, message })`, `end()`,
+ * `isRecording()` and `spanContext()`, which returns a {@link SpanContext}.
+ * @typedef {Object} Span
+ * @since 2.0.0
+ */
+
+/**
+ * Creates the spans of a {@link Handler}, set with the `tracer` option. Its
+ * `startSpan(name, [options])` method returns a {@link Span} and takes the
+ * `attributes` of the span and the {@link SpanContext} of its `parent` as
+ * options. To report spans to OpenTelemetry, wrap its tracer:
+ *
+ * ```javascript
+ * const tracer = {
+ *   startSpan(name, { attributes, parent } = {}) {
+ *     const ctx = parent ? trace.setSpanContext(context.active(), parent) : context.active();
+ *     return otelTracer.startSpan(name, { attributes }, ctx);
+ *   }
+ * };
+ * ```
+ * @typedef {Object} Tracer
+ * @since 2.0.0
+ */
+
+/**
+ * Creates a random ID.
+ * @param {number} bytes - the number of random bytes
+ * @return {string} the ID, in hex
+ */
+function randomId(bytes) {
+  return crypto.randomBytes(bytes).toString('hex');
+}
+
+/**
+ * Span that records nothing, but passes on the {@link SpanContext} of its
+ * parent so that trace headers are still propagated.
+ */
+class NoopSpan {
+  /**
+   * @param {SpanContext} [parent] - the context of the parent span
+   */
+  constructor(parent) {
+    this.context = parent || { traceId: '0'.repeat(_traceIdBytes * 2), spanId: '0'.repeat(_spanIdBytes * 2), traceFlags: 0 };
+  }
+
+  /** @return {SpanContext} the context of the parent span */
+  spanContext() {
+    return this.context;
+  }
+
+  /** @return {boolean} `false` */
+  isRecording() {
+    return false;
+  }
+
+  /** @return {NoopSpan} this span */
+  setAttribute() {
+    return this;
+  }
+
+  /** @return {NoopSpan} this span */
+  setAttributes() {
+    return this;
+  }
+
+  /** @return {NoopSpan} this span */
+  addEvent() {
+    return this;
+  }
+
+  /** @return {NoopSpan} this span */
+  recordException() {
+    return this;
+  }
+
+  /** @return {NoopSpan} this span */
+  setStatus() {
+    return this;
+  }
+
+  /** Does nothing. */
+  end() {}
+}
+
+/**
+ * Span of an {@link InMemoryTracer}, which keeps everything that is recorded.
+ */
+class RecordedSpan {
+  /**
+   * @param {string} name - the name of the span
+   * @param {Object} [options] - options for the span
+   * @param {Object} [options.attributes] - the attributes of the span
+   * @param {SpanContext} [options.parent] - the context of the parent span
+   */
+  constructor(name, { attributes = {}, parent } = {}) {
+    /** @type {string} */
+    this.name = name;
+    /** @type {string} */
+    this.traceId = parent ? parent.traceId : randomId(_traceIdBytes);
+    /** @type {string} */
+    this.spanId = randomId(_spanIdBytes);
+    /** @type {string} */
+    this.parentSpanId = parent ? parent.spanId : undefined;
+    /** @type {number} */
+    this.traceFlags = parent ? parent.traceFlags : _sampled;
+    /** @type {Object} */
+    this.attributes = Object.assign({}, attributes);
+    /** @type {Object[]} */
+    this.events = [];
+    /** @type {Object} */
+    this.status = { code: SpanStatusCode.UNSET };
+    /** @type {number} */
+    this.startTime = Date.now();
+    /** @type {number} */
+    this.endTime = undefined;
+    /** @type {boolean} */
+    this.ended = false;
+  }
+
+  /** @return {SpanContext} the context of this span */
+  spanContext() {
+    const { traceId, spanId, traceFlags } = this;
+    return { traceId, spanId, traceFlags };
+  }
+
+  /** @return {boolean} `true` until the span ends */
+  isRecording() {
+    return !this.ended;
+  }
+
+  /**
+   * @param {string} key - the name of the attribute
+   * @param {*} value - the value of the attribute
+   * @return {RecordedSpan} this span
+   */
+  setAttribute(key, value) {
+    this.attributes[key] = value;
+    return this;
+  }
+
+  /**
+   * @param {Object} attributes - the attributes to set
+   * @return {RecordedSpan} this span
+   */
+  setAttributes(attributes) {
+    Object.assign(this.attributes, attributes);
+    return this;
+  }
+
+  /**
+   * @param {string} name - the name of the event
+   * @param {Object} [attributes] - the attributes of the event
+   * @return {RecordedSpan} this span
+   */
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, attributes, time: Date.now() });
+    return this;
+  }
+
+  /**
+   * Adds an "exception" event with the OpenTelemetry attributes of the error.
+   * @param {Error} error - the error
+   * @return {RecordedSpan} this span
+   */
+  recordException(error) {
+    const { name, message, stack } = error instanceof Error ? error : { message: String(error) };
+    return this.addEvent('exception', { 'exception.type': name, 'exception.message': message, 'exception.stacktrace': stack });
+  }
+
+  /**
+   * @param {Object} status - the status
+   * @param {number} status.code - a {@link SpanStatusCode}
+   * @param {string} [status.message] - a description of the error
+   * @return {RecordedSpan} this span
+   */
+  setStatus(status) {
+    this.status = status;
+    return this;
+  }
+
+  /** Ends the span, keeping the time it first ended. */
+  end() {
+    if (!this.ended) {
+      this.ended = true;
+      this.endTime = Date.now();
+    }
+  }
+}
+
+/**
+ * The default {@link Tracer}, whose spans record nothing.
+ * @since 2.0.0
+ */
+export class NoopTracer {
+  /**
+   * Starts a span that records nothing.
+   * @param {string} name - the name of the span
+   * @param {Object} [options] - options for the span
+   * @param {SpanContext} [options.parent] - the context of the parent span,
+   * which the span passes on
+   * @return {Span} the span
+   */
+  startSpan(name, { parent } = {}) {
+    return new NoopSpan(parent);
+  }
+}
+
+/**
+ * {@link Tracer} that keeps its spans in memory, to assert them in tests.
+ * @since 2.0.0
+ * @example
+ *
+ * const tracer = new InMemoryTracer();
+ * return new MyHandler({ tracer }).handle(event).then(() => {
+ *   expect(tracer.spans.map(span => span.name)).to.deep.equal(['handle', 'resolveEndpoint', 'invoke']);
+ * });
+ */
+export class InMemoryTracer {
+  /**
+   * Creates a new tracer without spans.
+   */
+  constructor() {
+    /**
+     * The spans started by the tracer, in the order they were started.
+     * @type {Span[]}
+     */
+    this.spans = [];
+  }
+
+  /**
+   * Starts a span and keeps it in `spans`.
+   * @param {string} name - the name of the span
+   * @param {Object} [options] - options for the span
+   * @param {Object} [options.attributes] - the attributes of the span
+   * @param {SpanContext} [options.parent] - the context of the parent span,
+   * or else the span starts a new trace
+   * @return {Span} the span
+   */
+  startSpan(name, options) {
+    const span = new RecordedSpan(name, options);
+    this.spans.push(span);
+    return span;
+  }
+
+  /**
+   * Removes the spans started so far.
+   */
+  reset() {
+    this.spans = [];
+  }
+}
+
+/**
+ * Ends a span, marking it as failed if an error is given.
+ * @param {Span} span - the span
+ * @param {*} [error] - the error that the operation of the span failed with
+ * @since 2.0.0
+ */
+export function endSpan(span, error) {
+  if (error !== undefined) {
+    span.recordException(error);
+    span.setStatus({ code: SpanStatusCode.ERROR, message: error && error.message });
+  }
+  span.end();
+}
+
+/**
+ * Calls `fn` and ends `span` once the result settles, see {@link endSpan}.
+ * @param {Span} span - the span of the call
+ * @param {Function} fn - the function to call
+ * @return {Promise} that resolves or rejects like `fn`
+ * @since 2.0.0
+ */
+export function withSpan(span, fn) {
+  return Promise.try(fn).then(result => {
+    endSpan(span);
+    return result;
+  }, error => {
+    endSpan(span, error);
+    throw error;
+  });
+}
+
+/**
+ * Parses an AWS X-Ray trace header, such as
+ * `Root=1-5759e988-bd862e3fe1be46a994272793;Parent=53995c3f42cd8ad8;Sampled=1`.
+ * @param {string} header - the header
+ * @return {SpanContext} the context of the parent span, or `undefined` if the
+ * header has no valid root and parent
+ */
+function parseXrayHeader(header) {
+  const fields = {};
+  header.split(';').forEach(field => {
+    const [key, value] = field.trim().split('=');
+    fields[key] = value;
+  });
+  const root = _xrayRoot.exec(fields.Root || '');
+  if (!root || !/^[0-9a-f]{16}$/.test(fields.Parent || '')) {
+    return undefined;
+  }
+  return { traceId: root[1] + root[2], spanId: fields.Parent, traceFlags: fields.Sampled === '1' ? _sampled : 0 };
+}
+
+/**
+ * Parses a W3C `traceparent` header.
+ * @param {string} header - the header
+ * @return {SpanContext} the context of the parent span, or `undefined` if the
+ * header is invalid
+ */
+function parseTraceparent(header) {
+  const [, version, traceId, spanId, flags] = _traceparent.exec(header.trim()) || [];
+  if (!version || version === 'ff' || /^0+$/.test(traceId) || /^0+$/.test(spanId)) {
+    return undefined;
+  }
+  return { traceId, spanId, traceFlags: parseInt(flags, _hex) & _sampled };
+}
+
+/**
+ * Extracts the context of the caller's span from the trace headers of an
+ * event, so that the spans of the invocation join its trace. The W3C
+ * `traceparent` header is used first, then the AWS X-Ray `X-Amzn-Trace-Id`
+ * header, and finally the `_X_AMZN_TRACE_ID` environment variable that AWS
+ * Lambda sets when X-Ray tracing is active.
+ * @param {Object} [event] - the event, whose `headers` are searched
+ * regardless of their case
+ * @param {Object} [env] - the environment variables, `process.env` by default
+ * @return {SpanContext} the context of the parent span, or `undefined` if
+ * there is none
+ * @since 2.0.0
+ */
+export function extractTraceContext(event, env = process.env) {
+  const headers = {};
+  const source = event && typeof event.headers === 'object' && event.headers || {};
+  Object.keys(source).forEach(key => {
+    headers[key.toLowerCase()] = source[key];
+  });
+  const parsers = [
+    [headers.traceparent, parseTraceparent],
+    [headers['x-amzn-trace-id'], parseXrayHeader],
+    [env._X_AMZN_TRACE_ID, parseXrayHeader]
+  ];
+  return parsers.reduce((found, [header, parse]) => {
+    return found || (typeof header === 'string' ? parse(header) : undefined);
+  }, undefined);
+}
+
+/**
+ * Formats a W3C `traceparent` header, to propagate the trace to the services
+ * that an endpoint calls.
+ * @param {SpanContext} spanContext - the context of the calling span, e.g.
+ * `this.span.spanContext()` in an endpoint
+ * @return {string} the header
+ * @since 2.0.0
+ * @example
+ *
+ * const headers = { traceparent: formatTraceparent(this.span.spanContext()) };
+ */
+export function formatTraceparent({ traceId, spanId, traceFlags }) {
+  return `00-${traceId}-${spanId}-0${traceFlags & _sampled}`;
+}
@@ -0,0 +1,66 @@
+/**
+ * Splits a path such as `Records[0].body` or `requestContext.http.method` into
+ * its individual keys. Array indices in brackets are treated like any other key.
+ * @param {string} path - the path to split
+ * @return {string[]} the keys that make up the path
+ */
+function splitPath(path) {
+  return path.replace(/\[([^\]]*)\]/g, '.$1').split('.').filter(key => key.length);
+}
+
+/**
+ * Gets a (possibly deep) value from `obj`, similar to lodash's `_.get()`. The
+ * `path` can be one of the following:
+ * <ul>
+ * <li>a function, which is called with `obj` and whose return value is used</li>
+ * <li>a key of `obj`, which is used as-is even if it contains dots or brackets</li>
+ * <li>a dotted path with optional array indices, e.g. `Records[0].body`</li>
+ * </ul>
+ * Missing intermediate values resolve to `undefined` rather than throwing.
+ * @param {Object} obj - the object from which to get the value
+ * @param {string|Function} path - the key, path or extractor function
+ * @return {*} the value found at `path`, or `undefined`
+ * @since 2.0.0
+ * @example
+ *
+ * getPath({ Records: [{ body: 'hi' }] }, 'Records[0].body'); // 'hi'
+ * getPath({ a: { b: 1 } }, event => event.a.b); // 1
+ */
+export function getPath(obj, path) {
+  if (typeof path === 'function') {
+    return path(obj);
+  }
+  if (obj == null) { //eslint-disable-line no-eq-null,eqeqeq
+    return;
+  }
+  if (path in Object(obj)) {
+    return obj[path];
+  }
+  return splitPath(String(path)).reduce((value, key) => {
+    return value == null ? undefined : value[key]; //eslint-disable-line no-eq-null,eqeqeq
+  }, obj);
+}
+
+/**
+ * Serializes a value to JSON with the keys of objects sorted, so that equal
+ * values get the same string whatever the order of their keys. It's used for
+ * the keys of cached results and idempotent calls.
+ * @param {*} value - the value to serialize
+ * @return {string} the JSON, or an empty string for `undefined`
+ * @since 2.0.0
+ * @example
+ *
+ * stableStringify({ b: 1, a: [{ d: 2, c: 3 }] }); // '{"a":[{"c":3,"d":2}],"b":1}'
+ */
+export function stableStringify(value) {
+  const json = JSON.stringify(value, (key, item) => {
+    if (item === null || typeof item !== 'object' || Array.isArray(item)) {
+      return item;
+    }
+    return Object.keys(item).sort().reduce((sorted, name) => {
+      sorted[name] = item[name];
+      return sorted;
+    }, {});
+  });
+  return json === undefined ? '' : json;
+}
@@ -0,0 +1,132 @@
+/*eslint-disable no-unused-expressions */
+
+// Chai
+import { expect } from 'chai';
+
+// Module to test
+import { extractIdentity, validateAuthorization, checkAuthorization } from '../src/auth';
+import { UnauthorizedError, ForbiddenError } from '../src/errors';
+
+describe('auth', () => {
+
+  describe('extractIdentity()', () => {
+    /** @test {extractIdentity} */
+    it('should extract the claims of a Cognito authorizer', () => {
+      const claims = { sub: 'user-1', 'cognito:groups': 'admin,editor', scope: 'read write' };
+      const identity = extractIdentity({ requestContext: { authorizer: { claims } } });
+      expect(identity).to.deep.equal({ type: 'jwt', id: 'user-1', roles: ['admin', 'editor'], scopes: ['read', 'write'], claims });
+    });
+    /** @test {extractIdentity} */
+    it('should extract the claims of an HTTP API JWT authorizer', () => {
+      const claims = { sub: 'user-1', 'cognito:groups': '[admin user]' };
+      const withScopes = { requestContext: { authorizer: { jwt: { claims, scopes: ['read'] } } } };
+      const withoutScopes = { requestContext: { authorizer: { jwt: { claims: { sub: 'user-2', roles: ['a'] }, scopes: null } } } };
+      expect(extractIdentity(withScopes)).to.deep.equal({ type: 'jwt', id: 'user-1', roles: ['admin', 'user'], scopes: ['read'], claims });
+      expect(extractIdentity(withoutScopes)).to.include({ id: 'user-2' });
+      expect(extractIdentity(withoutScopes).roles).to.deep.equal(['a']);
+      expect(extractIdentity(withoutScopes).scopes).to.deep.equal([]);
+    });
+    /** @test {extractIdentity} */
+    it('should extract the context of a Lambda authorizer', () => {
+      const v1 = { requestContext: { authorizer: { principalId: 'user-1', groups: 'admin' } } };
+      const v2 = { requestContext: { authorizer: { lambda: { principalId: 'user-2', tenant: 'acme' } } } };
+      expect(extractIdentity(v1)).to.include({ type: 'lambda', id: 'user-1' });
+      expect(extractIdentity(v1).roles).to.deep.equal(['admin']);
+      expect(extractIdentity(v2)).to.include({ type: 'lambda', id: 'user-2' });
+      expect(extractIdentity(v2).claims).to.deep.equal({ principalId: 'user-2', tenant: 'acme' });
+    });
+    /** @test {extractIdentity} */
+    it('should extract the IAM caller', () => {
+      const userArn = 'arn:aws:iam::123456789012:user/ann';
+      const v1 = { requestContext: { identity: { userArn, accountId: '123456789012' } } };
+      const v2 = { requestContext: { authorizer: { iam: { userArn } } } };
+      expect(extractIdentity(v1)).to.include({ type: 'iam', id: userArn });
+      expect(extractIdentity(v2)).to.include({ type: 'iam', id: userArn });
+    });
+    /** @test {extractIdentity} */
+    it('should not find an identity in other events', () => {
+      expect(extractIdentity({})).to.be.undefined;
+      expect(extractIdentity({ requestContext: { identity: { sourceIp: '127.0.0.1' } } })).to.be.undefined;
+      expect(extractIdentity(undefined)).to.be.undefined;
+    });
+  });
+
+  describe('validateAuthorization()', () => {
+    /** @test {validateAuthorization} */
+    it('should accept valid requirements', () => {
+      expect(() => validateAuthorization(true)).to.not.throw();
+      expect(() => validateAuthorization(() => true)).to.not.throw();
+      expect(() => validateAuthorization({ roles: ['admin'], scopes: ['read'], claims: {}, check: () => true })).to.not.throw();
+    });
+    /** @test {validateAuthorization} */
+    it('should throw a TypeError for invalid requirements', () => {
+      expect(() => validateAuthorization(false)).to.throw(TypeError, 'invalid type for operation authorize, must be true, a function or an object');
+      expect(() => validateAuthorization(null)).to.throw(TypeError, 'invalid type for operation authorize');
+      expect(() => validateAuthorization({ roles: 'admin' })).to.throw(TypeError, 'invalid authorize roles, must be an array of strings');
+      expect(() => validateAuthorization({ scopes: [1] })).to.throw(TypeError, 'invalid authorize scopes, must be an array of strings');
+      expect(() => validateAuthorization({ claims: null })).to.throw(TypeError, 'invalid authorize claims, must be an object');
+      expect(() => validateAuthorization({ check: true })).to.throw(TypeError, 'invalid authorize check, must be a function');
+    });
+  });
+
+  describe('checkAuthorization()', () => {
+    const identity = {
+      type: 'jwt',
+      id: 'user-1',
+      roles: ['editor'],
+      scopes: ['read', 'write'],
+      claims: { tenant: 'acme', 'cognito:groups': 'editor,reviewer', level: 3 }
+    };
+    const request = { operation: 'edit' };
+    function outcome(requirement, caller = identity) {
+      return checkAuthorization(requirement, caller, request).then(() => 'allowed', e => e);
+    }
+    /** @test {checkAuthorization} */
+    it('should require an identity', () => {
+      return outcome(true, null).then(e => {
+        expect(e).to.be.an.instanceof(UnauthorizedError);
+        expect(e.message).to.equal('authentication required for operation "edit"');
+      });
+    });
+    /** @test {checkAuthorization} */
+    it('should allow callers that meet the requirement', () => {
+      const requirements = [
+        true,
+        { roles: ['admin', 'editor'] },
+        { scopes: ['read', 'write'] },
+        { claims: { tenant: 'acme', 'cognito:groups': 'reviewer', level: level => level > 2 } },
+        { claims: { tenant: ['acme', 'other'] } },
+        (caller, { operation }) => caller.id === 'user-1' && operation === 'edit',
+        { check: () => Promise.resolve(true) }
+      ];
+      return Promise.all(requirements.map(requirement => outcome(requirement))).then(results => {
+        results.forEach(result => expect(result).to.equal('allowed'));
+      });
+    });
+    /** @test {checkAuthorization} */
+    it('should forbid callers that don\'t meet the requirement', () => {
+      const requirements = [
+        { roles: ['admin'] },
+        { scopes: ['delete'] },
+        { claims: { tenant: 'other' } },
+        { claims: { missing: 'value' } },
+        () => false,
+        { roles: ['editor'], check: () => Promise.resolve(false) }
+      ];
+      return Promise.all(requirements.map(requirement => outcome(requirement))).then(results => {
+        results.forEach(result => expect(result).to.be.an.instanceof(ForbiddenError));
+        expect(results[0].message).to.equal('not allowed to call operation "edit"');
+      });
+    });
+    /** @test {checkAuthorization} */
+    it('should accept identities without roles, scopes or claims', () => {
+      return Promise.all([
+        outcome({ roles: ['admin'] }, { id: 'a' }),
+        outcome({ scopes: ['read'] }, { id: 'a' }),
+        outcome({ claims: { tenant: 'acme' } }, { id: 'a' })
+      ]).then(results => {
+        results.forEach(result => expect(result).to.be.an.instanceof(ForbiddenError));
+      });
+    });
+  });
+});
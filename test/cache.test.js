@@ -0,0 +1,107 @@
+/*eslint-disable no-unused-expressions */
+
+// Chai
+import { expect } from 'chai';
+
+// Sinon
+import sinon from 'sinon';
+
+// Module to test
+import { MemoryCache, ResponseCache, validateCachePolicy } from '../src/cache';
+
+describe('cache', () => {
+
+  describe('MemoryCache', () => {
+    /** @test {MemoryCache} */
+    it('should evict the least recently used entry when full', () => {
+      const cache = new MemoryCache({ maxEntries: 2 });
+      cache.set('a', 'A');
+      cache.set('b', 'B');
+      expect(cache.get('a')).to.equal('A');
+      cache.set('c', 'C');
+      expect(cache.get('b')).to.be.undefined;
+      expect(cache.size).to.equal(2);
+      cache.set('a', 'A2');
+      cache.set('d', 'D');
+      expect(['a', 'c', 'd'].map(key => cache.get(key)).join()).to.equal('A2,,D');
+      cache.delete('a');
+      expect(cache.size).to.equal(1);
+      cache.clear();
+      expect(cache.size).to.equal(0);
+    });
+    /** @test {MemoryCache} */
+    it('should throw a TypeError for an invalid maxEntries', () => {
+      expect(() => new MemoryCache({ maxEntries: 0 })).to.throw(TypeError, 'invalid cache maxEntries, must be a positive integer');
+      expect(new MemoryCache()).to.include({ maxEntries: 1000 });
+    });
+  });
+
+  describe('validateCachePolicy()', () => {
+    /** @test {validateCachePolicy} */
+    it('should accept valid policies', () => {
+      expect(() => validateCachePolicy(true)).to.not.throw();
+      expect(() => validateCachePolicy({ ttl: 1, maxEntries: 1, key: () => '', store: new MemoryCache() })).to.not.throw();
+    });
+    /** @test {validateCachePolicy} */
+    it('should throw a TypeError for invalid policies', () => {
+      expect(() => validateCachePolicy(false)).to.throw(TypeError, 'invalid type for operation cache, must be true or an object');
+      expect(() => validateCachePolicy(null)).to.throw(TypeError, 'invalid type for operation cache');
+      expect(() => validateCachePolicy({ ttl: '1' })).to.throw(TypeError, 'invalid cache ttl, must be a positive number');
+      expect(() => validateCachePolicy({ maxEntries: 1.5 })).to.throw(TypeError, 'invalid cache maxEntries, must be a positive integer');
+      expect(() => validateCachePolicy({ key: 'id' })).to.throw(TypeError, 'invalid cache key, must be a function');
+      expect(() => validateCachePolicy({ store: { get() {} } })).to.throw(TypeError, 'invalid cache store, must have get, set, delete methods');
+      expect(() => validateCachePolicy({ store: null })).to.throw(TypeError, 'invalid cache store');
+    });
+  });
+
+  describe('ResponseCache', () => {
+    /** @test {ResponseCache#wrap} */
+    it('should work with asynchronous stores', () => {
+      const entries = {};
+      const store = {
+        get: key => Promise.resolve(entries[key]),
+        set: sinon.spy((key, entry) => Promise.resolve().then(() => {
+          entries[key] = entry;
+        })),
+        delete: key => Promise.resolve().then(() => {
+          delete entries[key];
+        })
+      };
+      const ttl = 5000;
+      const cache = new ResponseCache({ ttl, store });
+      const fn = sinon.spy(() => 'result');
+      const wrap = () => cache.wrap({ operation: 'op' }, { id: 1 }, [{ id: 1 }], fn);
+      return wrap().then(first => {
+        expect(first).to.deep.equal({ value: 'result', hit: false });
+        expect(store.set.args[0][0]).to.equal('op {"args":[{"id":1}]}');
+        expect(store.set.args[0][2]).to.equal(ttl);
+        return wrap();
+      }).then(second => {
+        expect(second).to.deep.equal({ value: 'result', hit: true });
+        entries['op {"args":[{"id":1}]}'].expires = 0;
+        return wrap();
+      }).then(third => {
+        expect(third.hit).to.be.false;
+        expect(fn.calledTwice).to.be.true;
+      });
+    });
+    /** @test {ResponseCache#wrap} */
+    it('should key results by arguments, query and caller by default', () => {
+      const store = new MemoryCache();
+      const cache = new ResponseCache({ store });
+      const ictx = { operation: 'op', query: { limit: '1' }, identity: { id: 'ann', roles: [] } };
+      return cache.wrap(ictx, undefined, ['a'], () => 'result').then(() => {
+        expect(Array.from(store.entries.keys())).to.deep.equal(['op {"args":["a"],"caller":"ann","query":{"limit":"1"}}']);
+      });
+    });
+    /** @test {ResponseCache#wrap} */
+    it('should reject when the key function throws', () => {
+      const cache = new ResponseCache({ key: () => {
+        throw new Error('no key');
+      } });
+      return cache.wrap({ operation: 'op' }, null, [null], () => 'result').catch(e => e).then(e => {
+        expect(e.message).to.equal('no key');
+      });
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/*eslint-disable no-unused-expressions */
+
+// Chai
+import { expect } from 'chai';
+
+// Sinon
+import sinon from 'sinon';
+
+// Module to test
+import { Container } from '../src/container';
+
+describe('Container', () => {
+
+  describe('constructor', () => {
+    /** @test {Container} */
+    it('should register the given definitions', () => {
+      const db = sinon.spy(scope => ({ config: scope.get('config') }));
+      const container = new Container({
+        config: { value: { table: 'users' } },
+        db,
+        session: { factory: () => ({}), lifetime: 'invocation' }
+      });
+      expect(container.get('db')).to.deep.equal({ config: { table: 'users' } });
+      expect(container.get('db')).to.equal(container.get('db'));
+      expect(container.get('session')).to.not.equal(container.get('session'));
+      expect(db.calledOnce).to.be.true;
+    });
+    /** @test {Container} */
+    it('should throw a TypeError for an invalid definition', () => {
+      const message = 'invalid definition for service "db", must be a function, { factory } or { value }';
+      expect(() => new Container({ db: null })).to.throw(TypeError, message);
+      expect(() => new Container({ db: { lifetime: 'singleton' } })).to.throw(TypeError, message);
+    });
+  });
+
+  describe('#register()', () => {
+    /** @test {Container#register} */
+    it('should replace a service and its instance', () => {
+      const container = new Container().value('db', 'old');
+      expect(container.get('db')).to.equal('old');
+      expect(container.register('db', () => 'new').get('db')).to.equal('new');
+    });
+    /** @test {Container#register} */
+    it('should throw a TypeError for invalid arguments', () => {
+      const container = new Container();
+      expect(() => container.register('', () => 1)).to.throw(TypeError, 'invalid service name, must be a non-empty string');
+      expect(() => container.register('db', {})).to.throw(TypeError, 'invalid factory for service "db", must be a function');
+      expect(() => container.register('db', () => 1, { lifetime: 'request' }))
+        .to.throw(TypeError, 'invalid lifetime for service "db", must be one of singleton, invocation');
+    });
+  });
+
+  describe('#createScope()', () => {
+    /** @test {Container#createScope} */
+    it('should share invocation services within a scope only', () => {
+      let count = 0;
+      const container = new Container({
+        session: {
+          factory: () => {
+            count += 1;
+            return { count };
+          },
+          lifetime: 'invocation'
+        },
+        user: { factory: scope => ({ session: scope.get('session') }), lifetime: 'invocation' }
+      });
+      const scope = container.createScope();
+      const other = container.createScope();
+      expect(scope.get('session')).to.equal(scope.get('session'));
+      expect(scope.get('user').session).to.equal(scope.get('session'));
+      expect(other.get('session')).to.deep.equal({ count: 2 });
+    });
+    /** @test {Container#createScope} */
+    it('should throw for unknown services and circular dependencies', () => {
+      const container = new Container({
+        a: scope => scope.get('b'),
+        b: scope => scope.get('a')
+      });
+      expect(() => container.get('c')).to.throw(Error, 'service "c" is not registered');
+      expect(() => container.get('a')).to.throw(Error, 'circular dependency between services: a -> b -> a');
+      expect(container.get.bind(container, 'a')).to.throw(Error, 'circular dependency');
+    });
+  });
+
+  describe('#override()', () => {
+    /** @test {Container#override} */
+    it('should replace services until they are restored', () => {
+      const container = new Container({ db: () => 'real', cache: () => 'real' });
+      container.override('db', 'fake').override('cache', 'fake').override('clock', 'fake');
+      expect(['db', 'cache', 'clock'].map(name => container.get(name)).join()).to.equal('fake,fake,fake');
+      expect(container.has('clock')).to.be.true;
+      container.restore('db');
+      expect(container.get('db')).to.equal('real');
+      expect(container.get('cache')).to.equal('fake');
+      container.restore();
+      expect(container.get('cache')).to.equal('real');
+      expect(container.has('clock')).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,46 @@
+/*eslint-disable no-unused-expressions */
+
+// Chai
+import { expect } from 'chai';
+
+// Module to test
+import { createContext } from '../src';
+
+describe('createContext()', () => {
+  /** @test {createContext} */
+  it('should create a context with the properties of an AWS Lambda context', () => {
+    const context = createContext();
+    expect(context).to.include({
+      functionName: 'lambda6',
+      functionVersion: '$LATEST',
+      memoryLimitInMB: '128',
+      logGroupName: '/aws/lambda/lambda6',
+      callbackWaitsForEmptyEventLoop: true
+    });
+    expect(context.invokedFunctionArn).to.match(/:function:lambda6$/);
+    expect(context.awsRequestId).to.match(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[0-9a-f]{4}-[0-9a-f]{12}$/);
+    expect(context.logStreamName).to.contain(context.awsRequestId.replace(/-/g, ''));
+    expect(createContext().awsRequestId).to.not.equal(context.awsRequestId);
+  });
+  /** @test {createContext} */
+  it('should count down the remaining time from the timeout', () => {
+    const times = { start: 1000, later: 1200, end: 2000 };
+    const clock = { time: times.start };
+    const context = createContext({
+      functionName: 'users',
+      timeout: 500,
+      awsRequestId: 'request',
+      now: () => clock.time
+    });
+    const remainingAt = time => {
+      clock.time = time;
+      return context.getRemainingTimeInMillis();
+    };
+    expect(context).to.include({ functionName: 'users', awsRequestId: 'request' });
+    expect({
+      start: remainingAt(times.start),
+      later: remainingAt(times.later),
+      end: remainingAt(times.end)
+    }).to.deep.equal({ start: 500, later: 300, end: 0 });
+  });
+});
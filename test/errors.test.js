@@ -0,0 +1,94 @@
+/*eslint-disable no-unused-expressions */
+
+// Chai
+import { expect } from 'chai';
+
+// Module to test
+import {
+  HandlerError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  InternalError,
+  NotImplementedError,
+  TimeoutError,
+  InitializationError,
+  serializeError
+} from '../src/errors';
+
+describe('errors', () => {
+
+  describe('HandlerError', () => {
+    const classes = [
+      { ErrorClass: HandlerError, name: 'HandlerError', code: 'INTERNAL', status: 500 },
+      { ErrorClass: BadRequestError, name: 'BadRequestError', code: 'BAD_REQUEST', status: 400 },
+      { ErrorClass: ValidationError, name: 'ValidationError', code: 'VALIDATION_FAILED', status: 400 },
+      { ErrorClass: UnauthorizedError, name: 'UnauthorizedError', code: 'UNAUTHORIZED', status: 401 },
+      { ErrorClass: ForbiddenError, name: 'ForbiddenError', code: 'FORBIDDEN', status: 403 },
+      { ErrorClass: NotFoundError, name: 'NotFoundError', code: 'NOT_FOUND', status: 404 },
+      { ErrorClass: ConflictError, name: 'ConflictError', code: 'CONFLICT', status: 409 },
+      { ErrorClass: InternalError, name: 'InternalError', code: 'INTERNAL', status: 500 },
+      { ErrorClass: NotImplementedError, name: 'NotImplementedError', code: 'NOT_IMPLEMENTED', status: 501 },
+      { ErrorClass: TimeoutError, name: 'TimeoutError', code: 'TIMEOUT', status: 504 },
+      { ErrorClass: InitializationError, name: 'InitializationError', code: 'INITIALIZATION_FAILED', status: 500 }
+    ];
+    classes.forEach(({ ErrorClass, name, code, status }) => {
+      /** @test {HandlerError} */
+      it(`should create a ${name} with code ${code} and status ${status}`, () => {
+        const e = new ErrorClass('failed');
+        expect(e).to.be.an.instanceof(ErrorClass);
+        expect(e).to.be.an.instanceof(HandlerError);
+        expect(e).to.be.an.instanceof(Error);
+        expect(e).to.include({ name, code, status, message: 'failed' });
+        expect(e.stack).to.match(new RegExp(`^${name}: failed`));
+      });
+    });
+    /** @test {ValidationError} */
+    it('should keep the validation errors as details', () => {
+      const errors = [{ path: 'payload.id', message: 'is required' }];
+      const e = new ValidationError('invalid', errors);
+      expect(e).to.be.an.instanceof(BadRequestError);
+      expect(e.errors).to.equal(errors);
+      expect(e.details).to.deep.equal({ errors });
+    });
+    /** @test {HandlerError.from} */
+    it('should return handler errors as-is', () => {
+      const e = new NotFoundError('missing');
+      expect(HandlerError.from(e)).to.equal(e);
+    });
+    /** @test {HandlerError.from} */
+    it('should wrap other errors in an InternalError', () => {
+      const cause = new TypeError('oops');
+      const e = HandlerError.from(cause);
+      expect(e).to.be.an.instanceof(InternalError);
+      expect(e.message).to.equal('oops');
+      expect(e.cause).to.equal(cause);
+      expect(HandlerError.from('failed').message).to.equal('failed');
+    });
+  });
+
+  describe('serializeError()', () => {
+    /** @test {serializeError} */
+    it('should serialize a handler error with details', () => {
+      const e = new ValidationError('invalid', [{ path: 'payload', message: 'must be object' }]);
+      expect(serializeError(e)).to.deep.equal({
+        error: {
+          name: 'ValidationError',
+          code: 'VALIDATION_FAILED',
+          status: 400,
+          message: 'invalid',
+          details: { errors: [{ path: 'payload', message: 'must be object' }] }
+        }
+      });
+    });
+    /** @test {serializeError} */
+    it('should serialize any other error as an internal error', () => {
+      expect(serializeError(new Error('oops'))).to.deep.equal({
+        error: { name: 'InternalError', code: 'INTERNAL', status: 500, message: 'oops' }
+      });
+    });
+  });
+});
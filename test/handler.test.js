@@ -7,8 +7,39 @@ should();
 // Sinon
 import sinon from 'sinon';
 
+// Bluebird
+import Promise from 'bluebird';
+
 // Module to test
-import { Handler, operation } from '../src';
+import {
+  Handler,
+  operation,
+  use,
+  authorize,
+  ValidationError,
+  BadRequestError,
+  NotFoundError,
+  NotImplementedError,
+  InternalError,
+  TimeoutError,
+  parseRecord,
+  recordId,
+  Logger,
+  Metrics,
+  NoopTracer,
+  InMemoryTracer,
+  SpanStatusCode,
+  Container,
+  InitializationError,
+  UnauthorizedError,
+  ForbiddenError,
+  MemoryCache,
+  ConflictError,
+  IdempotencyStatus,
+  InMemoryIdempotencyStore,
+  isWarmerEvent,
+  isHandler
+} from '../src';
 
 describe('Handler', () => {
 
@@ -172,6 +203,1280 @@ describe('Handler', () => {
     });
   });
 
+  describe('@operation(options)', () => {
+    class TestHandler extends Handler {
+      @operation({ name: 'users.get', aliases: ['GET /users'], description: 'Gets a user', timeout: 1000 })
+      getUser({ id }) { return { id }; }
+      @operation()
+      ping() { return 'pong'; }
+      @operation({ deprecated: 'use ping' })
+      oldPing() { return 'pong'; }
+    }
+    /** @test {operation} */
+    it('should store the options in the endpoint metadata', () => {
+      const [, metadata] = new TestHandler().resolveEndpoint('users.get');
+      expect(metadata).to.deep.equal({
+        name: 'users.get',
+        aliases: ['GET /users'],
+        description: 'Gets a user',
+        timeout: 1000
+      });
+    });
+    /** @test {operation} */
+    it('should resolve endpoints by name and alias instead of method name', () => {
+      const handler = new TestHandler();
+      expect(handler.resolveEndpoint('users.get')[0]).to.equal(TestHandler.prototype.getUser);
+      expect(handler.resolveEndpoint('GET /users')[0]).to.equal(TestHandler.prototype.getUser);
+      handler.resolveEndpoint.bind(handler, 'getUser').should.throw(Error, 'endpoint not found for operation "getUser"');
+    });
+    /** @test {operation} */
+    it('should list operations by name', () => {
+      expect(TestHandler.listOperations().map(op => op.name)).to.deep.equal(['users.get', 'ping', 'oldPing']);
+    });
+    /** @test {operation} */
+    it('should log a warning when a deprecated operation is handled', () => {
+      const sink = sinon.spy();
+      return new TestHandler({ log: { sink, level: 'warn' } }).handle({ operation: 'oldPing' }).then(res => {
+        expect(res).to.equal('pong');
+        const warnings = sink.args.filter(([, level]) => level === 'warn').map(([line]) => JSON.parse(line));
+        expect(warnings).to.have.length(1);
+        expect(warnings[0]).to.include({ message: 'operation "oldPing" is deprecated: use ping', operation: 'oldPing' });
+      });
+    });
+    /** @test {operation} */
+    it('should throw a TypeError for invalid options', () => {
+      expect(() => operation(null)).to.throw(TypeError, 'invalid type for operation options, cannot be null');
+      expect(() => operation({ name: 1 })).to.throw(TypeError, 'invalid type for operation name, cannot be number');
+      expect(() => operation({ aliases: 'a' })).to.throw(TypeError, 'invalid type for operation aliases, must be an array');
+      expect(() => operation({ aliases: [1] })).to.throw(TypeError, 'invalid type for operation alias, cannot be number');
+      expect(() => operation({ timeout: '1s' })).to.throw(TypeError, 'invalid type for operation timeout, cannot be string');
+      expect(() => operation({ middleware: 'a' })).to.throw(TypeError, 'invalid type for middleware, cannot be string');
+    });
+    /** @test {operation} */
+    it('should run middleware given in the options', () => {
+      const exclaim = next => next().then(result => `${result}!`);
+      const question = next => next().then(result => `${result}?`);
+      class MiddlewareHandler extends Handler {
+        @use(question)
+        @operation({ middleware: exclaim })
+        ping() { return 'pong'; }
+      }
+      return new MiddlewareHandler().handle({ operation: 'ping' }).then(res => {
+        expect(res).to.equal('pong!?');
+      });
+    });
+  });
+
+  describe('#resolveEndpoint() with nested handlers', () => {
+    class MemberHandler extends Handler {
+      @operation({ name: '{memberId}' })
+      getMember() { return { params: this.params, operation: this.operation, nested: this.nested }; }
+      get nested() { return 'member'; }
+    }
+    class GroupHandler extends Handler {
+      @operation
+      list() { return this.params; }
+      @operation({ name: 'members' })
+      get members() { return MemberHandler; }
+      @operation({ name: 'broken' })
+      get broken() { throw new Error('getter failed'); }
+    }
+    class UserHandler extends Handler {
+      @operation({ name: 'users/me' })
+      me() { return 'me'; }
+      @operation({ name: 'users/{userId}' })
+      getUser() { return this.params; }
+      @operation({ name: 'groups/{groupId}' })
+      get groups() { return GroupHandler; }
+    }
+    /** @test {Handler#resolveEndpoint} */
+    it('should capture path parameters', () => {
+      const [endpoint, , params, owner, , route] = new UserHandler().resolveEndpoint('users/42');
+      expect(endpoint).to.equal(UserHandler.prototype.getUser);
+      expect(params).to.deep.equal({ userId: '42' });
+      expect(owner).to.be.an.instanceof(UserHandler);
+      expect(route).to.equal('users/{userId}');
+    });
+    /** @test {Handler#resolveEndpoint} */
+    it('should resolve the route of a nested endpoint', () => {
+      const [, , params, , , route] = new UserHandler().resolveEndpoint('groups/7/members/3');
+      expect(params).to.deep.equal({ groupId: '7', memberId: '3' });
+      expect(route).to.equal('groups/{groupId}/members/{memberId}');
+    });
+    /** @test {Handler#resolveEndpoint} */
+    it('should prefer literal names over path parameters', () => {
+      const [endpoint, , params] = new UserHandler().resolveEndpoint('users/me');
+      expect(endpoint).to.equal(UserHandler.prototype.me);
+      expect(params).to.deep.equal({});
+    });
+    /** @test {Handler#resolveEndpoint} */
+    it('should delegate to a nested handler class', () => {
+      const handler = new UserHandler({ custom: 'option' });
+      const [endpoint, metadata, params, owner] = handler.resolveEndpoint('groups/7/list');
+      expect(endpoint).to.equal(GroupHandler.prototype.list);
+      expect(metadata).to.deep.equal({});
+      expect(params).to.deep.equal({ groupId: '7' });
+      expect(owner).to.be.an.instanceof(GroupHandler);
+      expect(owner.options.custom).to.equal('option');
+    });
+    /** @test {Handler#resolveEndpoint} */
+    it('should not resolve a nested handler without the remaining operation', () => {
+      const handler = new UserHandler();
+      handler.resolveEndpoint.bind(handler, 'groups/7').should.throw(NotFoundError, 'endpoint not found for operation "groups/7"');
+      handler.resolveEndpoint.bind(handler, 'groups/7/missing').should.throw(NotFoundError, 'endpoint not found for operation "groups/7/missing"');
+      handler.resolveEndpoint.bind(handler, 'users/42/more').should.throw(NotFoundError, 'endpoint not found for operation "users/42/more"');
+    });
+    /** @test {Handler#resolveEndpoint} */
+    it('should throw errors from getters', () => {
+      const handler = new UserHandler();
+      handler.resolveEndpoint.bind(handler, 'groups/7/broken/x').should.throw(Error, 'getter failed');
+    });
+    /** @test {Handler#handle} */
+    it('should invoke a deeply nested endpoint with all path parameters', () => {
+      const _event = { operation: 'groups/7/members/3' };
+      return new UserHandler().handle(_event).then(res => {
+        expect(res).to.deep.equal({
+          params: { groupId: '7', memberId: '3' },
+          operation: 'groups/7/members/3',
+          nested: 'member'
+        });
+      });
+    });
+    /** @test {Handler#resolveEndpoint} */
+    it('should create a nested handler class once, sharing the services and logger of the parent', () => {
+      const db = sinon.spy(() => ({}));
+      class InitHandler extends Handler {
+        init() { this.inits = (this.inits || 0) + 1; }
+        @operation
+        get() { return { db: this.services.get('db'), inits: this.inits, logger: this.logger }; }
+      }
+      class ParentHandler extends Handler {
+        @operation({ name: 'items', deprecated: 'use things' })
+        get items() { return InitHandler; }
+      }
+      const sink = sinon.spy();
+      const parent = new ParentHandler({ services: { db }, log: { sink, level: 'warn' } });
+      const calls = ['first', 'second', 'last'].map(() => ({ operation: 'items/get' }));
+      return Promise.mapSeries(calls, e => parent.handle(e)).then(([first, , last]) => {
+        expect(last.inits).to.equal(1);
+        expect(last.db).to.equal(first.db);
+        expect(db.calledOnce).to.be.true;
+        expect(last.logger).to.equal(parent.logger);
+        const [, , , owner] = parent.resolveEndpoint('items/get');
+        const [, , , sameOwner] = parent.resolveEndpoint('items/get');
+        expect(owner).to.be.an.instanceof(InitHandler);
+        expect(sameOwner).to.equal(owner);
+        expect(sink.args.map(([line]) => JSON.parse(line).message)[0]).to.equal('operation "items/get" is deprecated: use things');
+      });
+    });
+    /** @test {Handler#resolveEndpoint} */
+    it('should reject options that don\'t apply to a nested handler', () => {
+      const timeout = 1000;
+      class ParentHandler extends Handler {
+        @operation({ name: 'groups', timeout, schema: {} })
+        get groups() { return GroupHandler; }
+      }
+      return new ParentHandler().handle({ operation: 'groups/list' }).catch(e => e).then(e => {
+        expect(e).to.be.an.instanceof(InternalError);
+        expect(e.message).to.equal('options timeout, schema of operation "groups" don\'t apply to the nested handler it delegates to');
+      });
+    });
+    /** @test {Handler#resolveEndpoint} */
+    it('should reject handler instances returned by getters', () => {
+      class ParentHandler extends Handler {
+        @operation({ name: 'groups' })
+        get groups() { return new GroupHandler(); }
+      }
+      return new ParentHandler().handle({ operation: 'groups/list' }).catch(e => e).then(e => {
+        expect(e).to.be.an.instanceof(InternalError);
+        expect(e.message).to.equal('operation "groups" must return a Handler class to delegate to, not an instance');
+      });
+    });
+    /** @test {Handler.listOperations} */
+    it('should list getter operations without invoking them', () => {
+      expect(GroupHandler.listOperations().map(op => op.name)).to.deep.equal(['list', 'members', 'broken']);
+    });
+  });
+
+  describe('#handle() with getter endpoints', () => {
+    class TestHandler extends Handler {
+      @operation
+      get version() { return this.options.version; }
+      @operation
+      get notImplemented() { return new NotImplementedError('not yet implemented'); }
+      @operation
+      get greet() { return function(greeting) { return `${greeting}, ${this.operation}`; }; }
+      @operation
+      get later() { return Promise.resolve('resolved'); }
+    }
+    /** @test {Handler#handle} */
+    it('should respond with the literal value of a getter', () => {
+      return new TestHandler({ version: '1.0.1' }).handle({ operation: 'version' }).then(res => {
+        expect(res).to.equal('1.0.1');
+      });
+    });
+    /** @test {Handler#handle} */
+    it('should fail with the error returned by a getter', () => {
+      const context = { fail: sinon.spy() };
+      return new TestHandler().handle({ operation: 'notImplemented' }, context).then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        expect(e).to.be.an.instanceof(NotImplementedError);
+        expect(context.fail.calledWithExactly(e)).to.be.true;
+      });
+    });
+    /** @test {Handler#handle} */
+    it('should invoke the function returned by a getter', () => {
+      return new TestHandler().handle({ operation: 'greet', payload: 'Hello' }).then(res => {
+        expect(res).to.equal('Hello, greet');
+      });
+    });
+    /** @test {Handler#handle} */
+    it('should resolve a promise returned by a getter', () => {
+      return new TestHandler().handle({ operation: 'later' }).then(res => {
+        expect(res).to.equal('resolved');
+      });
+    });
+    /** @test {operation} */
+    it('should not invoke getters when decorating', () => {
+      const getter = sinon.spy(() => 'value');
+      const descriptor = { get: getter, enumerable: false, configurable: true };
+      operation({}, 'value', descriptor);
+      expect(getter.called).to.be.false;
+      expect(descriptor.enumerable).to.be.true;
+      expect(Handler.getEndpointMetadata(getter)).to.deep.equal({});
+    });
+  });
+
+  describe('#handle() with argument mappings', () => {
+    const operationLength = event => event.operation.length;
+    class TestHandler extends Handler {
+      @operation({
+        name: 'users/{userId}',
+        args: [
+          { from: 'params', path: 'userId' },
+          'payload.fields',
+          { from: 'payload', path: 'limit', default: 10 },
+          { from: 'context', path: 'awsRequestId' },
+          operationLength
+        ]
+      })
+      getUser(...args) { return args; }
+    }
+    /** @test {Handler#handle} */
+    it('should invoke the endpoint with the mapped arguments', () => {
+      const _event = { operation: 'users/42', payload: { fields: ['name'] } };
+      const context = { awsRequestId: 'requestId' };
+      return new TestHandler().handle(_event, context, 'extra').then(res => {
+        const [userId, fields, limit, requestId, length, extra] = res;
+        expect({ userId, fields, limit, requestId, length, extra }).to.deep.equal({
+          userId: '42',
+          fields: ['name'],
+          limit: 10,
+          requestId: 'requestId',
+          length: 8,
+          extra: 'extra'
+        });
+      });
+    });
+    /** @test {operation} */
+    it('should throw a TypeError for invalid argument mappings', () => {
+      expect(() => operation({ args: 'payload' })).to.throw(TypeError, 'invalid type for operation args, must be an array');
+      expect(() => operation({ args: [1] })).to.throw(TypeError, 'invalid type for argument mapping, cannot be number');
+      expect(() => operation({ args: [{}] })).to.throw(TypeError, 'invalid type for argument mapping path, cannot be undefined');
+      expect(() => operation({ args: [{ from: 'env', path: 'x' }] })).to.throw(TypeError, 'invalid argument mapping source "env"');
+    });
+  });
+
+  describe('#handle() with options.fanOut', () => {
+    class TestHandler extends Handler {
+      @operation({ name: 'reports.daily' })
+      daily(payload) { return `daily ${payload} ${this.operation}`; }
+      @operation({ name: 'reports.weekly' })
+      weekly() { return Promise.delay(1).then(() => 'weekly'); }
+      @operation({ name: 'reports.broken' })
+      broken() { throw new NotImplementedError('broken'); }
+      @operation
+      other() { return 'other'; }
+    }
+    /** @test {Handler#fanOut} */
+    it('should dispatch to every operation in a list and aggregate the results', () => {
+      const _event = { operation: ['reports.daily', 'other', 'missing'], payload: 'p' };
+      return new TestHandler({ fanOut: true }).handle(_event).then(res => {
+        expect(res).to.deep.equal({
+          succeeded: 2,
+          failed: 1,
+          results: [
+            { operation: 'reports.daily', success: true, result: 'daily p reports.daily' },
+            { operation: 'other', success: true, result: 'other' },
+            {
+              operation: 'missing',
+              success: false,
+              error: {
+                name: 'NotFoundError',
+                code: 'NOT_FOUND',
+                status: 404,
+                message: 'endpoint not found for operation "missing"'
+              }
+            }
+          ]
+        });
+      });
+    });
+    /** @test {Handler#fanOut} */
+    it('should dispatch to every operation matching a pattern', () => {
+      const _event = { operation: 'reports.*', payload: 'p' };
+      const handler = new TestHandler({ fanOut: { parallel: false }, serializeErrors: e => e.message });
+      return handler.handle(_event).then(res => {
+        expect(res.results.map(r => r.operation)).to.deep.equal(['reports.daily', 'reports.weekly', 'reports.broken']);
+        expect(res.results.map(r => r.result || r.error)).to.deep.equal(['daily p reports.daily', 'weekly', 'broken']);
+      });
+    });
+    /** @test {Handler#fanOut} */
+    it('should reject with the first error with failFast', () => {
+      const _event = { operation: ['reports.broken', 'reports.weekly'] };
+      return new TestHandler({ fanOut: { failFast: true } }).handle(_event).then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        expect(e).to.be.an.instanceof(NotImplementedError);
+      });
+    });
+    /** @test {Handler#matchOperations} */
+    it('should reject a pattern that matches no operation', () => {
+      return new TestHandler({ fanOut: true }).handle({ operation: 'nothing.*' }).then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        expect(e).to.be.an.instanceof(NotFoundError);
+        expect(e.message).to.equal('no endpoints found for operation pattern "nothing.*"');
+      });
+    });
+    /** @test {Handler#matchOperations} */
+    it('should escape special characters in patterns', () => {
+      const handler = new TestHandler();
+      expect(handler.matchOperations('reports.d*')).to.deep.equal(['reports.daily']);
+      expect(() => handler.matchOperations('reports?*')).to.throw(NotFoundError);
+      expect(handler.matchOperations('other')).to.be.undefined;
+    });
+    /** @test {Handler#handle} */
+    it('should not fan out unless enabled', () => {
+      return new TestHandler().handle({ operation: ['other'] }).then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        expect(e).to.be.an.instanceof(BadRequestError);
+      });
+    });
+  });
+
+  describe('#handle() with options.batch', () => {
+    const sqsRecord = (messageId, body) => ({ eventSource: 'aws:sqs', messageId, body: JSON.stringify(body) });
+    let processed;
+    beforeEach(() => {
+      processed = [];
+    });
+    class TestHandler extends Handler {
+      @operation
+      save(payload) {
+        if (payload.fail) {
+          throw new Error('save failed');
+        }
+        return Promise.delay(payload.delay || 0).then(() => processed.push(payload.id));
+      }
+      @operation
+      inspect() {
+        processed.push(this.record.messageId);
+      }
+    }
+    /** @test {Handler#dispatchBatch} */
+    it('should dispatch each record and report the failed ones', () => {
+      const records = [
+        sqsRecord('m1', { operation: 'save', payload: { id: 'a', delay: 2 } }),
+        sqsRecord('m2', { operation: 'save', payload: { fail: true } }),
+        { eventSource: 'aws:sqs', messageId: 'm3', body: 'not json' },
+        sqsRecord('m4', { operation: 'missing' }),
+        sqsRecord('m5', { operation: 'save', payload: { id: 'b' } })
+      ];
+      return new TestHandler({ batch: true }).handle({ Records: records }).then(res => {
+        expect(res).to.deep.equal({
+          batchItemFailures: [{ itemIdentifier: 'm2' }, { itemIdentifier: 'm3' }, { itemIdentifier: 'm4' }]
+        });
+        expect(processed).to.deep.equal(['a', 'b']);
+      });
+    });
+    /** @test {Handler#dispatchBatch} */
+    it('should log the error of each failed record', () => {
+      const sink = sinon.spy();
+      const records = [
+        sqsRecord('m1', { operation: 'save', payload: { fail: true } }),
+        { eventSource: 'aws:sqs', messageId: 'm2', body: 'not json' }
+      ];
+      return new TestHandler({ batch: true, log: { sink, level: 'error' } }).handle({ Records: records }).then(() => {
+        const entries = sink.args.map(([line]) => JSON.parse(line));
+        expect(entries.map(entry => `${entry.message} ${entry.itemIdentifier}`)).to.deep.equal(['record failed m1', 'record failed m2']);
+        expect(entries[0]).to.include({ operation: 'save' });
+        expect(entries[0].error).to.include({ message: 'save failed' });
+        expect(entries[1].error).to.include({ name: 'SyntaxError' });
+      });
+    });
+    /** @test {Handler#dispatchBatch} */
+    it('should dispatch records concurrently', () => {
+      const records = [
+        sqsRecord('m1', { operation: 'save', payload: { id: 'a', delay: 5 } }),
+        sqsRecord('m2', { operation: 'save', payload: { id: 'b' } })
+      ];
+      return new TestHandler({ batch: { concurrency: 2 } }).handle({ Records: records }).then(res => {
+        expect(res.batchItemFailures).to.be.empty;
+        expect(processed).to.deep.equal(['b', 'a']);
+      });
+    });
+    /** @test {Handler#dispatchBatch} */
+    it('should expose the record and use custom parse and id functions', () => {
+      const batch = {
+        parse: record => ({ operation: record.attributes.type }),
+        id: record => record.attributes.key
+      };
+      const records = [
+        { messageId: 'm1', attributes: { type: 'inspect', key: 'k1' } },
+        { messageId: 'm2', attributes: { type: 'missing', key: 'k2' } }
+      ];
+      return new TestHandler({ batch }).handle({ Records: records }).then(res => {
+        expect(res).to.deep.equal({ batchItemFailures: [{ itemIdentifier: 'k2' }] });
+        expect(processed).to.deep.equal(['m1']);
+      });
+    });
+    /** @test {Handler#handle} */
+    it('should not dispatch records unless enabled', () => {
+      return new TestHandler().handle({ Records: [] }).then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        expect(e).to.be.an.instanceof(BadRequestError);
+      });
+    });
+    /** @test {parseRecord} */
+    it('should parse records from common event sources', () => {
+      const data = Buffer.from('{"operation":"kinesis"}').toString('base64');
+      const dynamodb = { eventSource: 'aws:dynamodb', eventName: 'INSERT', dynamodb: { SequenceNumber: '2' } };
+      expect(parseRecord({ eventSource: 'aws:sqs', body: '{"operation":"sqs"}' })).to.deep.equal({ operation: 'sqs' });
+      expect(parseRecord({ EventSource: 'aws:sns', Sns: { Message: '{"operation":"sns"}' } })).to.deep.equal({ operation: 'sns' });
+      expect(parseRecord({ eventSource: 'aws:kinesis', kinesis: { data } })).to.deep.equal({ operation: 'kinesis' });
+      expect(parseRecord(dynamodb)).to.equal(dynamodb);
+    });
+    /** @test {recordId} */
+    it('should get the identifier of records from common event sources', () => {
+      expect(recordId({ messageId: 'sqs' })).to.equal('sqs');
+      expect(recordId({ Sns: { MessageId: 'sns' } })).to.equal('sns');
+      expect(recordId({ kinesis: { sequenceNumber: '1' } })).to.equal('1');
+      expect(recordId({ dynamodb: { SequenceNumber: '2' } })).to.equal('2');
+    });
+  });
+
+  describe('#invoke() with timeouts', () => {
+    const ms = { short: 5, long: 50, remaining: 520 };
+    const signals = [];
+    class TestHandler extends Handler {
+      @operation({ timeout: ms.short })
+      slow() {
+        signals.push(this.signal);
+        return Promise.delay(ms.long).then(() => this.signal.throwIfAborted());
+      }
+      @operation({ timeout: ms.long })
+      patient() {
+        return Promise.delay(ms.short).then(() => {
+          this.signal.throwIfAborted();
+          return 'patient';
+        });
+      }
+      @operation
+      unlimited() { return Promise.delay(ms.short).then(() => 'unlimited'); }
+      @operation({ timeout: ms.long })
+      slowDownstream() {
+        signals.push(this.signal);
+        return Promise.delay(ms.long).timeout(ms.short);
+      }
+    }
+    beforeEach(() => {
+      signals.length = 0;
+    });
+    /** @test {Handler#invoke} */
+    it('should fail with a TimeoutError and abort the signal after the operation timeout', () => {
+      const reasons = [];
+      return new TestHandler().handle({ operation: 'slow' }).then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        expect(e).to.be.an.instanceof(TimeoutError);
+        expect(e).to.include({ code: 'TIMEOUT', status: 504, message: 'operation "slow" timed out after 5ms' });
+        expect(e.details).to.deep.equal({ timeout: ms.short });
+        const [signal] = signals;
+        expect(signal).to.include({ aborted: true, reason: e });
+        expect(() => signal.throwIfAborted()).to.throw(e);
+        signal.onAbort(reason => reasons.push(reason));
+        expect(reasons).to.deep.equal([e]);
+      });
+    });
+    /** @test {Handler#invoke} */
+    it('should not mistake the timeouts of the endpoint for the operation timeout', () => {
+      return new TestHandler().handle({ operation: 'slowDownstream' }).then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        expect(e).to.be.an.instanceof(Promise.TimeoutError);
+        expect(e).to.not.be.an.instanceof(TimeoutError);
+        expect(signals[0].aborted).to.be.false;
+      });
+    });
+    /** @test {Handler#invoke} */
+    it('should call abort listeners when the signal is aborted', () => {
+      const reasons = [];
+      class ListeningHandler extends Handler {
+        @operation({ timeout: ms.short })
+        slow() {
+          this.signal.onAbort(reason => reasons.push(reason));
+          expect(this.signal.aborted).to.be.false;
+          return Promise.delay(ms.long);
+        }
+      }
+      return new ListeningHandler().handle({ operation: 'slow' }).then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        expect(reasons).to.deep.equal([e]);
+      });
+    });
+    /** @test {Handler#invoke} */
+    it('should apply the handler-wide timeout unless the operation has its own', () => {
+      const handler = new TestHandler({ timeout: 1 });
+      return Promise.all([
+        handler.handle({ operation: 'patient' }),
+        handler.handle({ operation: 'unlimited' }).then(() => {
+          throw new Error('should have failed');
+        }, e => e)
+      ]).then(([patient, error]) => {
+        expect(patient).to.equal('patient');
+        expect(error).to.be.an.instanceof(TimeoutError);
+      });
+    });
+    /** @test {Handler#invocationTimeout} */
+    it('should keep a margin before AWS Lambda would stop the invocation', () => {
+      const context = { getRemainingTimeInMillis: () => ms.remaining };
+      const handler = new TestHandler();
+      expect(handler.invocationTimeout({}, context)).to.equal(ms.remaining - 500); //eslint-disable-line no-magic-numbers
+      expect(handler.invocationTimeout({ timeout: ms.short }, context)).to.equal(ms.short);
+      expect(handler.invocationTimeout({}, {})).to.be.undefined;
+      expect(new TestHandler({ timeoutMargin: ms.remaining * 2 }).invocationTimeout({}, context)).to.equal(0);
+      return new TestHandler({ timeoutMargin: ms.remaining }).handle({ operation: 'unlimited' }, context).then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        expect(e.message).to.equal('operation "unlimited" timed out after 0ms');
+      });
+    });
+  });
+
+  describe('#invoke() with retries', () => {
+    class TestHandler extends Handler {
+      @operation({ retry: { attempts: 3, delay: 1, jitter: false } })
+      flaky(payload) {
+        payload.attempts.push(this.attempt);
+        if (this.attempt < payload.succeedAt) {
+          throw new Error(`attempt ${this.attempt} failed`);
+        }
+        return this.attempt;
+      }
+      @operation
+      once() { return this.attempt; }
+    }
+    /** @test {Handler#invoke} */
+    it('should retry the endpoint and expose the attempt number', () => {
+      const middleware = sinon.spy((next, ...args) => next(...args));
+      const payload = { attempts: [], succeedAt: 2 };
+      return new TestHandler({ middleware: [middleware] }).handle({ operation: 'flaky', payload }).then(res => {
+        expect(res).to.equal(payload.succeedAt);
+        expect(payload.attempts).to.deep.equal([1, 2]);
+        expect(middleware.calledOnce).to.be.true;
+      });
+    });
+    /** @test {Handler#invoke} */
+    it('should fail with the last error once the attempts are exhausted', () => {
+      const payload = { attempts: [], succeedAt: Infinity };
+      return new TestHandler().handle({ operation: 'flaky', payload }).then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        expect(e.message).to.equal('attempt 3 failed');
+        expect(payload.attempts.join()).to.equal('1,2,3');
+      });
+    });
+    /** @test {Handler#invoke} */
+    it('should invoke endpoints without a retry policy once', () => {
+      return new TestHandler().handle({ operation: 'once' }).then(res => {
+        expect(res).to.equal(1);
+      });
+    });
+    /** @test {operation} */
+    it('should throw a TypeError for an invalid retry policy', () => {
+      expect(() => operation({ retry: { attempts: 0 } })).to.throw(TypeError, 'invalid retry attempts, must be a positive integer');
+    });
+  });
+
+  describe('#handle() with logging', () => {
+    class TestHandler extends Handler {
+      @operation
+      greet(name) {
+        this.log.info('greeting', { name });
+        return `Hello ${name}`;
+      }
+      @operation
+      fail() { throw new NotFoundError('no greeting'); }
+    }
+    function entries(sink) {
+      return sink.args.map(([line]) => JSON.parse(line));
+    }
+    /** @test {Handler#handle} */
+    it('should log the start and the end of each invocation', () => {
+      const sink = sinon.spy();
+      const context = { awsRequestId: 'request-1' };
+      return new TestHandler({ log: { sink, level: 'info' } }).handle({ operation: 'greet', payload: 'Ann' }, context).then(() => {
+        const [started, greeting, succeeded, ...rest] = entries(sink);
+        expect(rest).to.be.empty;
+        expect(started).to.include({ level: 'info', message: 'invocation started', operation: 'greet', awsRequestId: 'request-1' });
+        expect(greeting).to.include({ message: 'greeting', name: 'Ann', operation: 'greet', awsRequestId: 'request-1' });
+        expect(succeeded).to.include({ level: 'info', message: 'invocation succeeded', operation: 'greet' });
+        expect(succeeded.durationMs).to.be.a('number');
+      });
+    });
+    /** @test {Handler#handle} */
+    it('should log the error of failed invocations', () => {
+      const sink = sinon.spy();
+      return new TestHandler({ log: { sink, level: 'error' } }).handle({ operation: 'fail' }).then(() => {
+        throw new Error('should have failed');
+      }, () => {
+        const [failed] = entries(sink);
+        expect(sink.callCount).to.equal(1);
+        expect(sink.args[0][1]).to.equal('error');
+        expect(failed).to.include({ message: 'invocation failed', operation: 'fail' });
+        expect(failed.error).to.include({ code: 'NOT_FOUND', message: 'no greeting' });
+      });
+    });
+    /** @test {Handler#handle} */
+    it('should log events without an operation', () => {
+      const sink = sinon.spy();
+      return new TestHandler({ log: { sink, level: 'info' } }).handle().catch(() => {
+        const [failed] = entries(sink);
+        expect(failed).to.include({ level: 'error', message: 'invocation failed' });
+        expect(failed).to.not.have.property('operation');
+      });
+    });
+    /** @test {Handler.constructor} */
+    it('should use a given logger', () => {
+      const logger = new Logger({ level: 'silent' });
+      expect(new TestHandler({ log: logger }).logger).to.equal(logger);
+      expect(() => new TestHandler({ log: { level: 'loud' } })).to.throw(TypeError, 'invalid log level "loud"');
+    });
+  });
+
+  describe('#invoke() with metrics', () => {
+    class TestHandler extends Handler {
+      @operation
+      buy(items) {
+        this.metrics.put('ItemsSold', items);
+        return items;
+      }
+      @operation
+      fail() { throw new NotFoundError('no item'); }
+      @authorize()
+      @operation({ schema: { payload: { type: 'integer' }, result: { type: 'string' } } })
+      refund(items) { return items; }
+      @operation({ name: 'items/{id}' })
+      getItem() { return this.params.id; }
+    }
+    function documents(sink) {
+      return sink.args.map(([line]) => JSON.parse(line));
+    }
+    /** @test {Handler#invoke} */
+    it('should emit the metrics of each invocation', () => {
+      const sink = sinon.spy();
+      const handler = new TestHandler({ metrics: { namespace: 'shop', sink } });
+      return handler.handle({ operation: 'buy', payload: 2 }, { awsRequestId: 'request-1' }).then(() => {
+        const [document] = documents(sink);
+        expect(sink.calledOnce).to.be.true;
+        expect(document).to.include({ Operation: 'buy', awsRequestId: 'request-1', ItemsSold: 2, Invocations: 1, Errors: 0 });
+        expect(document.Duration).to.be.a('number');
+        expect(document._aws.CloudWatchMetrics[0].Dimensions).to.deep.equal([['Operation']]);
+        expect(document._aws.CloudWatchMetrics[0].Metrics.map(metric => metric.Name).join()).to.equal('ItemsSold,Invocations,Errors,Duration');
+      });
+    });
+    /** @test {Handler#invoke} */
+    it('should count the errors', () => {
+      const sink = sinon.spy();
+      return new TestHandler({ metrics: { sink } }).handle({ operation: 'fail' }).then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        expect(e).to.be.an.instanceof(NotFoundError);
+        expect(documents(sink)[0]).to.include({ Operation: 'fail', Invocations: 1, Errors: 1 });
+      });
+    });
+    /** @test {Handler#dispatch} */
+    it('should count the operations that fail before or after the invocation', () => {
+      const sink = sinon.spy();
+      const handler = new TestHandler({ metrics: { sink } });
+      const caller = { requestContext: { authorizer: { claims: { sub: 'ann' } } } };
+      const events = [
+        { operation: 'refund', payload: 1 },
+        Object.assign({ operation: 'refund', payload: 'a' }, caller),
+        Object.assign({ operation: 'refund', payload: 1 }, caller),
+        { operation: 'unknown' }
+      ];
+      return Promise.mapSeries(events, event => handler.handle(event).catch(e => e)).then(([unauthorized, invalid, failed]) => {
+        expect(unauthorized).to.be.an.instanceof(UnauthorizedError);
+        expect(invalid.message).to.equal('payload validation failed for operation "refund"');
+        expect(failed.message).to.equal('result validation failed for operation "refund"');
+        expect(documents(sink).map(({ Operation, Invocations, Errors }) => [Operation, Invocations, Errors].join()).join(' '))
+          .to.equal('refund,1,1 refund,1,1 refund,1,1');
+      });
+    });
+    /** @test {Handler#invocationMetrics} */
+    it('should record operations by route, with the operation as a property', () => {
+      const sink = sinon.spy();
+      const handler = new TestHandler({ metrics: { sink } });
+      return Promise.mapSeries(['items/1', 'items/2'], operation => handler.handle({ operation })).then(() => {
+        expect(documents(sink).map(document => `${document.Operation} ${document.operation}`).join()).to.equal('items/{id} items/1,items/{id} items/2');
+      });
+    });
+    /** @test {Handler#invoke} */
+    it('should let endpoints put metrics when the metrics are disabled', () => {
+      const handler = new TestHandler();
+      expect(handler.metrics).to.be.null;
+      return handler.handle({ operation: 'buy', payload: 1 }).then(res => {
+        expect(res).to.equal(1);
+      });
+    });
+    /** @test {Handler.constructor} */
+    it('should use the given metrics', () => {
+      const metrics = new Metrics({ sink: null });
+      const log = sinon.stub(console, 'log');
+      const handler = new TestHandler({ metrics: true });
+      return handler.invoke(TestHandler.prototype.buy, {}, 1).finally(() => log.restore()).then(() => {
+        expect(new TestHandler({ metrics }).metrics).to.equal(metrics);
+        expect(handler.metrics.namespace).to.equal('lambda6');
+        expect(JSON.parse(log.args[0][0])).to.not.have.property('Operation');
+      });
+    });
+  });
+
+  describe('#handle() with tracing', () => {
+    function audit(next, ...args) { return next(...args); }
+    class TestHandler extends Handler {
+      @use(audit)
+      @operation
+      greet(name) { return { name, traceId: this.span.spanContext().traceId }; }
+      @operation
+      fail() { throw new NotFoundError('no greeting'); }
+    }
+    const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+    const spanId = '00f067aa0ba902b7';
+    /** @test {Handler#handle} */
+    it('should trace the handler, the endpoint resolution, the middleware and the invocation', () => {
+      const tracer = new InMemoryTracer();
+      const event = { operation: 'greet', payload: 'Ann', headers: { traceparent: `00-${traceId}-${spanId}-01` } };
+      return new TestHandler({ tracer }).handle(event, { awsRequestId: 'request-1' }).then(res => {
+        const [handle, resolve, invoke, middleware] = tracer.spans;
+        expect(tracer.spans.map(span => span.name).join()).to.equal('handle,resolveEndpoint,invoke,middleware audit');
+        expect(tracer.spans.every(span => span.ended && span.traceId === traceId)).to.be.true;
+        expect(handle.parentSpanId).to.equal(spanId);
+        expect(handle.attributes).to.deep.equal({ 'faas.invocation_id': 'request-1', 'lambda6.operation': 'greet' });
+        expect(resolve.parentSpanId).to.equal(handle.spanId);
+        expect(invoke.parentSpanId).to.equal(handle.spanId);
+        expect(middleware.parentSpanId).to.equal(invoke.spanId);
+        expect(res).to.deep.equal({ name: 'Ann', traceId });
+      });
+    });
+    /** @test {Handler#handle} */
+    it('should mark the spans of a failed invocation', () => {
+      const tracer = new InMemoryTracer();
+      return new TestHandler({ tracer }).handle({ operation: 'fail' }).catch(() => {
+        const [handle, resolve, invoke] = tracer.spans;
+        expect(handle.parentSpanId).to.be.undefined;
+        expect(resolve.status.code).to.equal(SpanStatusCode.UNSET);
+        expect(invoke.status).to.deep.equal({ code: SpanStatusCode.ERROR, message: 'no greeting' });
+        expect(handle.status.code).to.equal(SpanStatusCode.ERROR);
+        return new TestHandler({ tracer }).handle({ operation: 'missing' });
+      }).catch(() => {
+        const resolve = tracer.spans.filter(span => span.name === 'resolveEndpoint')[1];
+        expect(resolve.status.code).to.equal(SpanStatusCode.ERROR);
+        expect(tracer.spans.map(span => span.name).join()).to.equal('handle,resolveEndpoint,invoke,handle,resolveEndpoint');
+      });
+    });
+    /** @test {Handler#handle} */
+    it('should trace each record of a batch', () => {
+      const tracer = new InMemoryTracer();
+      const record = { eventSource: 'aws:sqs', body: '{"operation":"greet"}' };
+      const records = [record, record];
+      return new TestHandler({ tracer, batch: true }).handle({ Records: records }).then(() => {
+        const [handle, ...children] = tracer.spans;
+        expect(children.filter(span => span.name === 'invoke')).to.have.length(2);
+        expect(children.every(span => span.traceId === handle.traceId)).to.be.true;
+      });
+    });
+    /** @test {Handler.constructor} */
+    it('should not record spans by default', () => {
+      const handler = new TestHandler();
+      expect(handler.tracer).to.be.an.instanceof(NoopTracer);
+      return handler.handle({ operation: 'greet', payload: 'Bo' }).then(res => {
+        expect(res.traceId).to.match(/^0+$/);
+      });
+    });
+  });
+
+  describe('#invoke() with services', () => {
+    class TestHandler extends Handler {
+      static get defaultOptions() {
+        return Object.assign({}, Handler.defaultOptions, {
+          services: {
+            db: () => ({ users: { ann: 'Ann' } }),
+            session: { factory: scope => ({ db: scope.get('db') }), lifetime: 'invocation' }
+          }
+        });
+      }
+      @operation({ inject: ['db'] })
+      getUser(id) { return this.db.users[id]; }
+      @operation({ inject: { store: 'db', current: 'session' } })
+      getSession() { return [this.current, this.services.get('session'), this.store]; }
+      @operation({ inject: ['event'] })
+      conflict() { return this.event; }
+    }
+    /** @test {Handler#invoke} */
+    it('should inject the services of the operation', () => {
+      return new TestHandler().handle({ operation: 'getUser', payload: 'ann' }).then(res => {
+        expect(res).to.equal('Ann');
+      });
+    });
+    /** @test {Handler#invoke} */
+    it('should keep singletons across invocations and invocation services within one', () => {
+      const handler = new TestHandler();
+      return Promise.all([
+        handler.handle({ operation: 'getSession' }),
+        handler.handle({ operation: 'getSession' })
+      ]).then(([[current, session, db], [other, , otherDb]]) => {
+        expect(current).to.equal(session);
+        expect(current.db).to.equal(db);
+        expect(other).to.not.equal(current);
+        expect(otherDb).to.equal(db);
+      });
+    });
+    /** @test {Handler#invoke} */
+    it('should resolve overridden services', () => {
+      const handler = new TestHandler();
+      handler.services.override('db', { users: { ann: 'Fake Ann' } });
+      return handler.handle({ operation: 'getUser', payload: 'ann' }).then(res => {
+        expect(res).to.equal('Fake Ann');
+        expect(new TestHandler().services.has('db')).to.be.true;
+      });
+    });
+    /** @test {Handler#invoke} */
+    it('should fail to inject over a value of the invocation context', () => {
+      return new TestHandler().handle({ operation: 'conflict' }).then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        expect(e).to.be.an.instanceof(TypeError);
+        expect(e.message).to.equal('cannot inject service "event" as "event", which is already set on the invocation context');
+      });
+    });
+    /** @test {Handler.constructor} */
+    it('should use a given container', () => {
+      const services = new Container();
+      expect(new Handler({ services }).services).to.equal(services);
+      expect(new Handler().services).to.be.an.instanceof(Container);
+    });
+    /** @test {operation} */
+    it('should throw a TypeError for invalid injections', () => {
+      const message = 'invalid type for operation inject, must be an array or an object of service names';
+      expect(() => operation({ inject: 'db' })).to.throw(TypeError, message);
+      expect(() => operation({ inject: [1] })).to.throw(TypeError, message);
+      expect(() => operation({ inject: { db: true } })).to.throw(TypeError, message);
+    });
+  });
+
+  describe('#handle() with init() and warmers', () => {
+    class TestHandler extends Handler {
+      init() {
+        this.inits = (this.inits || 0) + 1;
+        return Promise.delay(1).then(() => {
+          this.config = { greeting: 'Hello' };
+        });
+      }
+      @operation
+      greet(name) { return `${this.config.greeting} ${name}`; }
+    }
+    /** @test {Handler#ready} */
+    it('should initialize the handler once before handling events', () => {
+      const handler = new TestHandler();
+      return Promise.all([
+        handler.handle({ operation: 'greet', payload: 'Ann' }),
+        handler.handle({ operation: 'greet', payload: 'Bo' })
+      ]).then(results => {
+        expect(results).to.deep.equal(['Hello Ann', 'Hello Bo']);
+        return handler.handle({ operation: 'greet', payload: 'Cy' });
+      }).then(res => {
+        expect(res).to.equal('Hello Cy');
+        expect(handler.inits).to.equal(1);
+      });
+    });
+    /** @test {Handler#ready} */
+    it('should fail with an InitializationError and try again on the next event', () => {
+      const cause = new Error('config unavailable');
+      const init = sinon.stub();
+      init.onFirstCall().returns(Promise.reject(cause));
+      init.onSecondCall().throws('failure');
+      init.returns(undefined);
+      class FlakyHandler extends Handler {
+        init() { return init(); }
+        @operation
+        ping() { return 'pong'; }
+      }
+      const handler = new FlakyHandler();
+      const event = { operation: 'ping' };
+      return handler.handle(event).catch(e => e).then(e => {
+        expect(e).to.be.an.instanceof(InitializationError);
+        expect(e).to.include({ message: 'handler initialization failed: config unavailable', status: 500, cause });
+        return handler.handle(event).catch(error => error);
+      }).then(e => {
+        expect(e).to.be.an.instanceof(InitializationError);
+        return handler.handle(event);
+      }).then(res => {
+        expect(res).to.equal('pong');
+        expect(init.calledThrice).to.be.true;
+      });
+    });
+    /** @test {Handler#ready} */
+    it('should initialize nested handlers when they are first dispatched to', () => {
+      class ParentHandler extends Handler {
+        @operation
+        get users() { return TestHandler; }
+      }
+      const parent = new ParentHandler();
+      const calls = ['Ann', 'Bo'].map(payload => ({ operation: 'users/greet', payload }));
+      return Promise.mapSeries(calls, e => parent.handle(e)).then(results => {
+        expect(results.join()).to.equal('Hello Ann,Hello Bo');
+        const [, , , nested] = parent.resolveEndpoint('users/greet');
+        expect(nested.inits).to.equal(1);
+      });
+    });
+    /** @test {Handler#handle} */
+    it('should answer warmer pings once initialized, without resolving an operation', () => {
+      const handler = new TestHandler();
+      const resolveEndpoint = sinon.spy(handler, 'resolveEndpoint');
+      const events = [
+        { warmer: true },
+        { source: 'serverless-plugin-warmup' },
+        { source: 'aws.events', 'detail-type': 'Scheduled Event', detail: { warmer: true } }
+      ];
+      return Promise.all(events.map(event => handler.handle(event))).then(results => {
+        results.forEach(result => expect(result).to.deep.equal({ warmed: true }));
+        expect(resolveEndpoint.called).to.be.false;
+        expect(handler.inits).to.equal(1);
+      });
+    });
+    /** @test {Handler#handle} */
+    it('should answer warmer pings before extracting the operation and payload', () => {
+      const payloadKey = sinon.spy(event => JSON.parse(event.Records[0].body));
+      const handler = new TestHandler({ operationKey: event => event.Records[0].eventSource, payloadKey });
+      return handler.handle({ warmer: true }).then(result => {
+        expect(result).to.deep.equal({ warmed: true });
+        expect(payloadKey.called).to.be.false;
+        expect(handler.inits).to.equal(1);
+      });
+    });
+    /** @test {Handler#handle} */
+    it('should use a custom warmer detector, or none', () => {
+      const warmer = event => event.operation === 'warm';
+      return Promise.all([
+        new TestHandler({ warmer }).handle({ operation: 'warm' }),
+        new TestHandler({ warmer: false }).handle({ warmer: true }).catch(e => e),
+        new TestHandler().handle({ source: 'aws.events', detail: {} }).catch(e => e)
+      ]).then(([warmed, notWarmer, scheduled]) => {
+        expect(warmed).to.deep.equal({ warmed: true });
+        expect(notWarmer).to.be.an.instanceof(BadRequestError);
+        expect(scheduled).to.be.an.instanceof(BadRequestError);
+      });
+    });
+    /** @test {isWarmerEvent} */
+    it('should recognize warmer events', () => {
+      expect(isWarmerEvent({ warmer: true })).to.be.true;
+      expect(isWarmerEvent({ warmer: 'yes' })).to.be.false;
+      expect(isWarmerEvent({ source: 'aws.events' })).to.be.false;
+      expect(isWarmerEvent(null)).to.be.false;
+    });
+  });
+
+  describe('@authorize', () => {
+    class TestHandler extends Handler {
+      @authorize({ roles: ['admin'] })
+      @operation({ schema: { payload: { type: 'string' } } })
+      deleteUser(id) { return `deleted ${id}`; }
+      @authorize()
+      @operation
+      whoAmI() { return this.identity.id; }
+      @operation
+      ping() { return this.identity; }
+    }
+    const admin = { requestContext: { authorizer: { claims: { sub: 'ann', 'cognito:groups': 'admin' } } } };
+    const user = { requestContext: { authorizer: { claims: { sub: 'bo' } } } };
+    function event(operation, payload, caller = {}) {
+      return Object.assign({ operation, payload }, caller);
+    }
+    /** @test {authorize} */
+    it('should invoke the endpoint for authorized callers', () => {
+      const handler = new TestHandler();
+      return Promise.all([
+        handler.handle(event('deleteUser', '1', admin)),
+        handler.handle(event('whoAmI', null, user)),
+        handler.handle(event('ping'))
+      ]).then(([deleted, id, anonymous]) => {
+        expect(deleted).to.equal('deleted 1');
+        expect(id).to.equal('bo');
+        expect(anonymous).to.be.undefined;
+      });
+    });
+    /** @test {authorize} */
+    it('should reject unauthorized callers before validating the payload', () => {
+      const handler = new TestHandler();
+      return Promise.all([
+        handler.handle(event('deleteUser', 1)).catch(e => e),
+        handler.handle(event('deleteUser', 1, user)).catch(e => e)
+      ]).then(([unauthorized, forbidden]) => {
+        expect(unauthorized).to.be.an.instanceof(UnauthorizedError);
+        expect(unauthorized.message).to.equal('authentication required for operation "deleteUser"');
+        expect(forbidden).to.be.an.instanceof(ForbiddenError);
+        expect(forbidden).to.include({ code: 'FORBIDDEN', status: 403 });
+      });
+    });
+    /** @test {authorize} */
+    it('should use a custom identity extractor', () => {
+      const identity = (e, context) => ({ id: e.apiKey, roles: e.apiKey === context.adminKey ? ['admin'] : [] });
+      const handler = new TestHandler({ identity });
+      const context = { adminKey: 'secret' };
+      return handler.handle({ operation: 'deleteUser', payload: '2', apiKey: 'secret' }, context).then(res => {
+        expect(res).to.equal('deleted 2');
+        return handler.handle({ operation: 'ping', apiKey: 'other' }, context);
+      }).then(res => {
+        expect(res).to.deep.equal({ id: 'other', roles: [] });
+      });
+    });
+    /** @test {authorize} */
+    it('should check the requirements of the endpoints that delegate to nested handlers', () => {
+      class AdminHandler extends Handler {
+        @operation
+        wipe() { return 'wiped'; }
+        @authorize({ scopes: ['audit'] })
+        @operation
+        audit() { return 'audited'; }
+      }
+      class ParentHandler extends Handler {
+        @authorize({ roles: ['admin'] })
+        @operation({ name: 'admin' })
+        get admin() { return AdminHandler; }
+      }
+      const handler = new ParentHandler();
+      const auditor = { requestContext: { authorizer: { jwt: { claims: { sub: 'cy', roles: ['admin'] }, scopes: ['audit'] } } } };
+      return Promise.all([
+        handler.handle(event('admin/wipe')).catch(e => e),
+        handler.handle(event('admin/wipe', null, user)).catch(e => e),
+        handler.handle(event('admin/wipe', null, admin)),
+        handler.handle(event('admin/audit', null, admin)).catch(e => e),
+        handler.handle(event('admin/audit', null, auditor))
+      ]).then(([anonymous, forbidden, wiped, unscoped, audited]) => {
+        expect(anonymous).to.be.an.instanceof(UnauthorizedError);
+        expect(forbidden).to.be.an.instanceof(ForbiddenError);
+        expect(wiped).to.equal('wiped');
+        expect(unscoped).to.be.an.instanceof(ForbiddenError);
+        expect(audited).to.equal('audited');
+      });
+    });
+    /** @test {authorize} */
+    it('should throw a TypeError when misused', () => {
+      expect(() => authorize('admin')).to.throw(TypeError, 'invalid type for operation authorize');
+      expect(() => operation({ authorize: { roles: 'admin' } })).to.throw(TypeError, 'invalid authorize roles');
+      expect(() => class extends Handler {
+        @operation
+        @authorize()
+        ping() { }
+      }).to.throw(TypeError, '@authorize must be applied above @operation for "ping"');
+    });
+  });
+
+  describe('with options.cache', () => {
+    /** @test {CachePolicy} */
+    it('should cache results by operation and payload across invocations', () => {
+      const spy = sinon.spy(payload => ({ config: payload }));
+      class TestHandler extends Handler {
+        @operation({ cache: true })
+        getConfig(payload) { return spy(payload); }
+        @operation({ cache: true })
+        getOther(payload) { return spy(payload); }
+      }
+      const handler = new TestHandler();
+      const handle = ([name, payload]) => handler.handle({ operation: name, payload });
+      const calls = [
+        ['getConfig', { a: 1, b: 2 }],
+        ['getConfig', { b: 2, a: 1 }],
+        ['getConfig', { a: 2 }],
+        ['getOther', { a: 2 }],
+        ['getConfig', undefined],
+        ['getConfig', undefined]
+      ];
+      return Promise.mapSeries(calls, handle).then(([first, second, third, other]) => {
+        expect(second).to.equal(first);
+        expect(third).to.deep.equal({ config: { a: 2 } });
+        expect(other).to.not.equal(third);
+        expect(spy.args.map(args => JSON.stringify(args[0])).join(' ')).to.equal('{"a":1,"b":2} {"a":2} {"a":2} ');
+      });
+    });
+    /** @test {CachePolicy} */
+    it('should expire results after the ttl and not cache failures', () => {
+      const ttl = 1000;
+      const now = sinon.stub(Date, 'now').returns(0);
+      let calls = 0;
+      class TestHandler extends Handler {
+        @operation({ cache: { ttl } })
+        getConfig() {
+          calls += 1;
+          if (calls === 1) {
+            throw new Error('failed');
+          }
+          return calls;
+        }
+      }
+      const handler = new TestHandler();
+      const handle = () => handler.handle({ operation: 'getConfig' }).catch(e => e.message);
+      return Promise.mapSeries([handle, handle, handle], fn => fn()).then(results => {
+        expect(results.join()).to.equal('failed,2,2');
+        now.returns(ttl);
+        return Promise.mapSeries([handle, handle], fn => fn());
+      }).then(results => {
+        expect(results.join()).to.equal('3,3');
+      }).finally(() => now.restore());
+    });
+    /** @test {CachePolicy} */
+    it('should use a custom key and store, kept by the dispatching handler', () => {
+      const store = new MemoryCache();
+      const spy = sinon.spy(() => 'preferences');
+      const key = (payload, { identity }) => identity.id;
+      class PreferenceHandler extends Handler {
+        @operation({ cache: { key, store } })
+        getPreferences() { return spy(this.identity.id); }
+      }
+      class TestHandler extends Handler {
+        @operation
+        get users() { return PreferenceHandler; }
+      }
+      const handler = new TestHandler({ identity: e => ({ id: e.user }) });
+      const calls = ['ann', 'ann', 'bo'].map(user => ({ operation: 'users/getPreferences', payload: Math.random(), user }));
+      return Promise.mapSeries(calls, e => handler.handle(e)).then(() => {
+        expect(spy.args.map(args => args[0]).join()).to.equal('ann,bo');
+        expect(store.size).to.equal(2);
+        expect(store.get('users/getPreferences "ann"').value).to.equal('preferences');
+      });
+    });
+    /** @test {CachePolicy} */
+    it('should throw a TypeError for an invalid policy', () => {
+      expect(() => operation({ cache: 'yes' })).to.throw(TypeError, 'invalid type for operation cache, must be true or an object');
+      expect(() => operation({ cache: { ttl: 0 } })).to.throw(TypeError, 'invalid cache ttl, must be a positive number');
+    });
+  });
+
+  describe('with options.idempotency', () => {
+    function createHandler(spy, options) {
+      class TestHandler extends Handler {
+        @operation({ idempotency: 'payload.orderId' })
+        createOrder(payload) { return spy(payload); }
+      }
+      return new TestHandler(options);
+    }
+    /** @test {IdempotencyPolicy} */
+    it('should return the stored result to repeated events', () => {
+      const spy = sinon.spy(({ orderId }) => ({ created: orderId }));
+      const handler = createHandler(spy);
+      const events = ['o1', 'o1', 'o2'].map(orderId => ({ operation: 'createOrder', payload: { orderId } }));
+      return Promise.mapSeries(events, e => handler.handle(e)).then(([first, repeat, other]) => {
+        expect(repeat).to.equal(first);
+        expect(other).to.deep.equal({ created: 'o2' });
+        expect(spy.calledTwice).to.be.true;
+        expect(handler.idempotencyStore.get('createOrder "o1"').status).to.equal(IdempotencyStatus.COMPLETED);
+      });
+    });
+    /** @test {IdempotencyPolicy} */
+    it('should fail repeats with a ConflictError while the first call is in progress', () => {
+      const spy = sinon.spy(() => Promise.delay(2).return('created'));
+      const handler = createHandler(spy);
+      const e = { operation: 'createOrder', payload: { orderId: 'o1' } };
+      return Promise.all([handler.handle(e), handler.handle(e).catch(error => error)]).then(([result, error]) => {
+        expect(result).to.equal('created');
+        expect(error).to.be.an.instanceof(ConflictError);
+        expect(error).to.include({ code: 'CONFLICT', status: 409 });
+        expect(spy.calledOnce).to.be.true;
+      });
+    });
+    /** @test {IdempotencyPolicy} */
+    it('should use the store option and log events without a key', () => {
+      const store = new InMemoryIdempotencyStore();
+      const sink = sinon.spy();
+      const spy = sinon.spy(() => 'created');
+      const handler = createHandler(spy, { idempotencyStore: store, log: { sink, level: 'warn' } });
+      return handler.handle({ operation: 'createOrder', payload: { orderId: 'o1' } }).then(() => {
+        expect(store.get('createOrder "o1"').value).to.equal('created');
+        return handler.handle({ operation: 'createOrder', payload: {} });
+      }).then(() => {
+        const warnings = sink.args.map(([line]) => JSON.parse(line).message);
+        expect(warnings).to.deep.equal(['idempotency key not found, the call is not de-duplicated']);
+      });
+    });
+    /** @test {IdempotencyPolicy} */
+    it('should throw a TypeError for an invalid policy or store', () => {
+      expect(() => operation({ idempotency: true })).to.throw(TypeError, 'invalid idempotency key, must be a path or a function');
+      expect(() => createHandler(null, { idempotencyStore: {} }))
+        .to.throw(TypeError, 'invalid idempotencyStore, must have claim, put and delete methods');
+    });
+  });
+
+  describe('#handle() with schemas', () => {
+    class TestHandler extends Handler {
+      @operation({
+        schema: {
+          payload: { type: 'object', required: ['id'], properties: { id: { type: 'integer' } } },
+          result: { type: 'object', required: ['name'] }
+        }
+      })
+      getUser({ id }) { return id === 1 ? { name: 'bond' } : {}; }
+    }
+    /** @test {Handler#handle} */
+    it('should invoke the endpoint with a valid payload', () => {
+      return new TestHandler().handle({ operation: 'getUser', payload: { id: 1 } }).then(res => {
+        expect(res).to.deep.equal({ name: 'bond' });
+      });
+    });
+    /** @test {Handler#handle} */
+    it('should reject an invalid payload without invoking the endpoint', () => {
+      const spy = sinon.spy(TestHandler.prototype, 'getUser');
+      return new TestHandler().handle({ operation: 'getUser', payload: { id: 'a' } })
+      .finally(() => spy.restore())
+      .then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        expect(e).to.be.an.instanceof(ValidationError);
+        expect(e).to.be.an.instanceof(Error);
+        expect(e.name).to.equal('ValidationError');
+        expect(e.message).to.equal('payload validation failed for operation "getUser"');
+        expect(e.errors).to.deep.equal([{ path: 'payload.id', message: 'must be integer' }]);
+        expect(spy.called).to.be.false;
+      });
+    });
+    /** @test {Handler#handle} */
+    it('should reject an invalid result', () => {
+      return new TestHandler().handle({ operation: 'getUser', payload: { id: 2 } }).then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        expect(e).to.be.an.instanceof(ValidationError);
+        expect(e.message).to.equal('result validation failed for operation "getUser"');
+        expect(e.errors).to.deep.equal([{ path: 'result.name', message: 'is required' }]);
+      });
+    });
+  });
+
   describe('#handle()', () => {
     function checkEventRequired(e) {
       expect(e).to.be.an.instanceof(TypeError);
@@ -186,6 +1491,60 @@ describe('Handler', () => {
       return new Handler().handle().catch(checkEventRequired);
     });
     /** @test {Handler#handle} */
+    it('should reject with a BadRequestError for a missing operation', () => {
+      return new Handler().handle({}).then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        expect(e).to.be.an.instanceof(BadRequestError);
+        expect(e.message).to.equal('invalid type for operation, cannot be undefined');
+      });
+    });
+    /** @test {Handler#handle} */
+    it('should not reject TypeErrors of getters as bad requests', () => {
+      class TestHandler extends Handler {
+        @operation
+        get config() { return this.options.config.version; }
+      }
+      return new TestHandler().handle({ operation: 'config' }).then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        expect(e).to.be.an.instanceof(TypeError);
+        expect(e).to.not.be.an.instanceof(BadRequestError);
+      });
+    });
+    /** @test {Handler#handle} */
+    it('should reject with a NotFoundError for an unknown operation', () => {
+      return new Handler().handle({ operation: 'notThere' }).then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        expect(e).to.be.an.instanceof(NotFoundError);
+        expect(e).to.include({ code: 'NOT_FOUND', status: 404 });
+      });
+    });
+    /** @test {Handler#handle} */
+    it('should serialize errors passed to context#fail() if options.serializeErrors is set', () => {
+      const context = { fail: sinon.spy() };
+      return new Handler({ serializeErrors: true }).handle({ operation: 'notThere' }, context).catch(e => {
+        expect(e).to.be.an.instanceof(NotFoundError);
+        expect(JSON.parse(context.fail.firstCall.args[0])).to.deep.equal({
+          error: {
+            name: 'NotFoundError',
+            code: 'NOT_FOUND',
+            status: 404,
+            message: 'endpoint not found for operation "notThere"'
+          }
+        });
+      });
+    });
+    /** @test {Handler#handle} */
+    it('should use a custom error serializer', () => {
+      const context = { fail: sinon.spy() };
+      const serializeErrors = e => ({ code: e.code });
+      return new Handler({ serializeErrors }).handle({ operation: 'notThere' }, context).catch(() => {
+        expect(context.fail.calledWithExactly('{"code":"NOT_FOUND"}')).to.be.true;
+      });
+    });
+    /** @test {Handler#handle} */
     it('should not invoke an endpoint without the @operation decorator', () => {
       class TestHandler extends Handler {
         greet(greeting) { return greeting; }
@@ -210,6 +1569,61 @@ describe('Handler', () => {
       });
     });
     /** @test {Handler#handle} */
+    it('should extract the operation and payload from deep paths', () => {
+      class TestHandler extends Handler {
+        @operation
+        GET(body) { return `${this.operation}: ${body}`; }
+      }
+      const handler = new TestHandler({
+        operationKey: 'requestContext.http.method',
+        payloadKey: 'Records[0].body'
+      });
+      const _event = {
+        requestContext: { http: { method: 'GET' } },
+        Records: [{ body: 'Hello' }]
+      };
+      return handler.handle(_event).then(res => {
+        expect(res).to.equal('GET: Hello');
+      });
+    });
+    /** @test {Handler#handle} */
+    it('should extract the operation and payload with functions', () => {
+      class TestHandler extends Handler {
+        @operation
+        greet(greeting) { return greeting; }
+      }
+      const handler = new TestHandler({
+        operationKey: event => event.type.toLowerCase(),
+        payloadKey: event => JSON.parse(event.body).greeting
+      });
+      const _event = { type: 'GREET', body: '{"greeting":"Hello"}' };
+      return handler.handle(_event).then(res => {
+        expect(res).to.equal('Hello');
+      });
+    });
+    /** @test {Handler#handle} */
+    it('should fail in every style when an extractor throws', () => {
+      class TestHandler extends Handler {
+        @operation
+        greet(greeting) { return greeting; }
+      }
+      const payloadKey = event => JSON.parse(event.Records[0].body);
+      const context = { fail: sinon.spy() };
+      const callback = sinon.spy();
+      const tracer = new InMemoryTracer();
+      return Promise.all([
+        new TestHandler({ payloadKey, style: 'context' }).handle({ operation: 'greet' }, context).catch(e => e),
+        new TestHandler({ payloadKey, style: 'callback' }).handle({ operation: 'greet' }, {}, callback).catch(e => e),
+        new TestHandler({ payloadKey, style: 'async', tracer }).handle({ operation: 'greet' }).catch(e => e)
+      ]).then(errors => {
+        errors.forEach(error => expect(error).to.be.an.instanceof(TypeError));
+        expect(context.fail.calledWithExactly(errors[0])).to.be.true;
+        expect(callback.calledWithExactly(errors[1])).to.be.true;
+        expect(tracer.spans[0]).to.include({ name: 'handle', ended: true });
+        expect(tracer.spans[0].status.code).to.equal(SpanStatusCode.ERROR);
+      });
+    });
+    /** @test {Handler#handle} */
     it('should invoke the endpoint, succeed and call context#succeed() if present', () => {
       const context = { succeed: function() { } };
       class TestHandler extends Handler {
@@ -241,6 +1655,306 @@ describe('Handler', () => {
     });
   });
 
+  describe('#invoke() with middleware', () => {
+    function tag(name, calls) {
+      return function(next, ...args) {
+        calls.push(`${name}:${this.operation}:${args[0]}`);
+        return next().then(result => `${name}(${result})`);
+      };
+    }
+    /** @test {Handler#invoke} */
+    it('should run handler-wide middleware before per-operation middleware', () => {
+      const calls = [];
+      class TestHandler extends Handler {
+        @use(tag('op1', calls), tag('op2', calls))
+        @operation
+        greet(greeting) { return greeting; }
+      }
+      const handler = new TestHandler({ middleware: [tag('handler', calls)] });
+      return handler.handle({ operation: 'greet', payload: 'Hello' }).then(res => {
+        expect(res).to.equal('handler(op1(op2(Hello)))');
+        expect(calls).to.deep.equal(['handler:greet:Hello', 'op1:greet:Hello', 'op2:greet:Hello']);
+      });
+    });
+    /** @test {Handler#invoke} */
+    it('should apply stacked @use decorators top-down', () => {
+      const calls = [];
+      class TestHandler extends Handler {
+        @use(tag('outer', calls))
+        @use(tag('inner', calls))
+        @operation
+        greet(greeting) { return greeting; }
+      }
+      return new TestHandler().handle({ operation: 'greet', payload: 'Hi' }).then(res => {
+        expect(res).to.equal('outer(inner(Hi))');
+      });
+    });
+    /** @test {Handler#invoke} */
+    it('should replace the endpoint arguments when next() is called with arguments', () => {
+      const upperCase = (next, payload, extra) => next(payload.toUpperCase(), extra);
+      class TestHandler extends Handler {
+        @use(upperCase)
+        @operation
+        greet(greeting, name) { return `${greeting}, ${name}`; }
+      }
+      return new TestHandler().handle({ operation: 'greet', payload: 'hello' }, null, 'Matt').then(res => {
+        expect(res).to.equal('HELLO, Matt');
+      });
+    });
+    /** @test {Handler#invoke} */
+    it('should short-circuit the endpoint when next() is not called', () => {
+      const endpoint = sinon.spy();
+      class TestHandler extends Handler {
+        @operation
+        test() { endpoint(); }
+      }
+      const handler = new TestHandler({ middleware: [() => 'cached'] });
+      return handler.handle({ operation: 'test' }).then(res => {
+        expect(res).to.equal('cached');
+        expect(endpoint.called).to.be.false;
+      });
+    });
+    /** @test {Handler#invoke} */
+    it('should let middleware map errors thrown by the endpoint', () => {
+      const mapError = next => next().catch(e => { throw new Error(`mapped: ${e.message}`); });
+      class TestHandler extends Handler {
+        @operation
+        test() { throw new Error('test error'); }
+      }
+      return new TestHandler({ middleware: [mapError] }).handle({ operation: 'test' }).then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        expect(e.message).to.equal('mapped: test error');
+      });
+    });
+    /** @test {use} */
+    it('should throw a TypeError for invalid middleware', () => {
+      expect(() => use('notAFunction')).to.throw(TypeError, 'invalid type for middleware, cannot be string');
+    });
+    /** @test {use} */
+    it('should throw a TypeError when not applied above @operation', () => {
+      expect(() => class extends Handler {
+        @operation
+        @use(tag('inner', []))
+        test() { }
+      }).to.throw(TypeError, '@use must be applied above @operation for "test"');
+    });
+  });
+
+  describe('#handle() with options.style', () => {
+    class TestHandler extends Handler {
+      @operation
+      greet(greeting, name) { return `${greeting}, ${name}`; }
+      @operation
+      fail() { throw new Error('test error'); }
+    }
+    /** @test {Handler#handle} */
+    it('should call the callback instead of the context with the callback style', () => {
+      const context = { succeed: sinon.spy() };
+      const callback = sinon.spy();
+      const handler = new TestHandler({ style: 'callback' });
+      return handler.handle({ operation: 'greet', payload: 'Hello' }, context, callback, 'Matt').then(res => {
+        expect(res).to.equal('Hello, Matt');
+        expect(callback.calledWithExactly(null, 'Hello, Matt')).to.be.true;
+        expect(context.succeed.called).to.be.false;
+      });
+    });
+    /** @test {Handler#handle} */
+    it('should pass errors to the callback with the callback style', () => {
+      const callback = sinon.spy();
+      const handler = new TestHandler({ style: 'callback', serializeErrors: e => e.message });
+      return handler.handle({ operation: 'fail' }, {}, callback).catch(e => {
+        expect(e.message).to.equal('test error');
+        expect(callback.calledWithExactly('"test error"')).to.be.true;
+      });
+    });
+    /** @test {Handler#handle} */
+    it('should report a missing event to the callback', () => {
+      const callback = sinon.spy();
+      return new TestHandler({ style: 'callback' }).handle(null, {}, callback).catch(e => {
+        expect(callback.calledWithExactly(e)).to.be.true;
+      });
+    });
+    /** @test {Handler#handle} */
+    it('should only return a promise with the async style', () => {
+      const context = { succeed: sinon.spy(), fail: sinon.spy() };
+      const handler = new TestHandler({ style: 'async' });
+      return handler.handle({ operation: 'greet', payload: 'Hi' }, context, 'Bond').then(res => {
+        expect(res).to.equal('Hi, Bond');
+        return handler.handle({ operation: 'fail' }, context);
+      }).catch(e => {
+        expect(e.message).to.equal('test error');
+        expect(context.succeed.called).to.be.false;
+        expect(context.fail.called).to.be.false;
+      });
+    });
+  });
+
+  describe('.export', () => {
+    class TestHandler extends Handler {
+      @operation
+      whoami() { return this.options.name; }
+    }
+    /** @test {Handler.export} */
+    it('should throw a TypeError if not given a Handler subclass', () => {
+      expect(() => Handler.export({})).to.throw(TypeError, 'HandlerClass must be a subclass of Handler');
+      expect(() => Handler.export(Handler)).to.throw(TypeError, 'HandlerClass must be a subclass of Handler');
+    });
+    /** @test {Handler.export} */
+    it('should export a (event, context) function returning a promise', () => {
+      const handler = Handler.export(TestHandler, { name: 'exported' });
+      const context = { succeed: sinon.spy() };
+      expect(handler.length).to.equal(2);
+      return handler({ operation: 'whoami' }, context).then(res => {
+        expect(res).to.equal('exported');
+        expect(context.succeed.calledWithExactly('exported')).to.be.true;
+      });
+    });
+    /** @test {Handler.export} */
+    it('should export a (event, context, callback) function with the callback style', done => {
+      const handler = Handler.export(TestHandler, { name: 'exported', style: 'callback' });
+      const result = handler({ operation: 'whoami' }, {}, (err, res) => {
+        expect(err).to.be.null;
+        expect(res).to.equal('exported');
+        done();
+      });
+      expect(result).to.be.undefined;
+    });
+    /** @test {Handler.export} */
+    it('should reject with the serialized error with the async style', () => {
+      const handler = Handler.export(TestHandler, { style: 'async', serializeErrors: true });
+      return handler({ operation: 'notThere' }, {}).then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        expect(e).to.be.an.instanceof(Error);
+        expect(JSON.parse(e.message).error).to.include({ name: 'NotFoundError', status: 404 });
+        expect(e.cause).to.be.an.instanceof(NotFoundError);
+      });
+    });
+    /** @test {Handler.export} */
+    it('should not leave callback failures unhandled', done => {
+      const handler = Handler.export(TestHandler, { style: 'callback' });
+      handler({ operation: 'notThere' }, {}, err => {
+        expect(err.message).to.equal('endpoint not found for operation "notThere"');
+        done();
+      });
+    });
+  });
+
+  describe('isHandler()', () => {
+    /** @test {isHandler} */
+    it('should recognize handlers and handler classes', () => {
+      class TestHandler extends Handler {}
+      expect(isHandler(TestHandler)).to.be.true;
+      expect(isHandler(new TestHandler())).to.be.true;
+      expect(isHandler(new Handler())).to.be.true;
+      expect(isHandler(Handler)).to.be.false;
+      expect(isHandler({})).to.be.false;
+    });
+  });
+
+  describe('.listOperations', () => {
+    class BaseHandler extends Handler {
+      @operation
+      ping() { return 'pong'; }
+      @operation
+      hidden() { }
+      helper() { }
+    }
+    class TestHandler extends BaseHandler {
+      @operation
+      echo(payload) { return payload; }
+      hidden() { }
+    }
+    /** @test {Handler.listOperations} */
+    it('should list operations from the whole prototype chain', () => {
+      const names = TestHandler.listOperations().map(op => op.name);
+      expect(names).to.deep.equal(['echo', 'ping']);
+    });
+    /** @test {Handler.listOperations} */
+    it('should return an empty list for the base class', () => {
+      expect(Handler.listOperations()).to.deep.equal([]);
+    });
+    /** @test {Handler.listOperations} */
+    it('should return copies of the endpoint metadata', () => {
+      const [{ metadata }] = TestHandler.listOperations();
+      metadata.changed = true;
+      expect(TestHandler.prototype.echo[Handler.metadataKey]).to.not.have.property('changed');
+    });
+    /** @test {Handler.listOperations} */
+    it('should skip endpoints with invalid metadata and not invoke getters', () => {
+      class InvalidHandler extends Handler {
+        broken() { }
+        get value() { throw new Error('getter invoked'); }
+      }
+      InvalidHandler.prototype.broken[Handler.metadataKey] = 1;
+      expect(InvalidHandler.listOperations()).to.deep.equal([]);
+    });
+  });
+
+  describe('#listOperations()', () => {
+    /** @test {Handler#listOperations} */
+    it('should include operations assigned to the instance', () => {
+      class TestHandler extends Handler {
+        @operation
+        ping() { return 'pong'; }
+      }
+      const handler = new TestHandler();
+      handler.extra = Object.assign(() => 'extra', { [Handler.metadataKey]: {} });
+      const names = handler.listOperations().map(op => op.name);
+      expect(names).to.deep.equal(['extra', 'ping']);
+    });
+    /** @test {Handler#listOperations} */
+    it('should be exposed through options.describeOperation', () => {
+      class TestHandler extends Handler {
+        @operation
+        ping() { return 'pong'; }
+      }
+      const handler = new TestHandler({ describeOperation: '__operations' });
+      return handler.handle({ operation: '__operations' }).then(ops => {
+        expect(ops).to.deep.equal([{ name: 'ping' }]);
+      });
+    });
+    /** @test {Handler#listOperations} */
+    it('should only describe the public options of each operation', () => {
+      const store = new MemoryCache();
+      store.self = store;
+      class TestHandler extends Handler {
+        @authorize({ roles: ['admin'] })
+        @operation({ aliases: ['users.delete'], description: 'Deletes a user', deprecated: 'use remove', cache: { store } })
+        deleteUser() { }
+      }
+      const context = { succeed: sinon.spy() };
+      const handler = new TestHandler({ describeOperation: '__operations', style: 'context' });
+      return handler.handle({ operation: '__operations' }, context).then(ops => {
+        expect(ops).to.deep.equal([
+          { name: 'deleteUser', aliases: ['users.delete'], description: 'Deletes a user', deprecated: 'use remove' }
+        ]);
+        expect(() => JSON.stringify(context.succeed.args[0][0])).to.not.throw();
+      });
+    });
+    /** @test {Handler#listOperations} */
+    it('should authorize callers of the describe operation when required', () => {
+      const describeOperation = { name: '__operations', authorize: { roles: ['admin'] } };
+      const admin = { requestContext: { authorizer: { claims: { sub: 'ann', 'cognito:groups': 'admin' } } } };
+      const handler = new Handler({ describeOperation });
+      return Promise.all([
+        handler.handle({ operation: '__operations' }).catch(e => e),
+        handler.handle(Object.assign({ operation: '__operations' }, admin))
+      ]).then(([unauthorized, ops]) => {
+        expect(unauthorized).to.be.an.instanceof(UnauthorizedError);
+        expect(ops).to.deep.equal([]);
+        expect(() => new Handler({ describeOperation: { name: 'x', authorize: 'admin' } })).to.throw(TypeError);
+      });
+    });
+    /** @test {Handler#listOperations} */
+    it('should not expose the describe operation unless enabled', () => {
+      return new Handler().handle({ operation: '__operations' }).catch(e => {
+        expect(e.message).to.equal('endpoint not found for operation "__operations"');
+      });
+    });
+  });
+
   describe('.getEndpointMetadata', () => {
     function getEndpointMetadata(...args) {
       return Handler.getEndpointMetadata.bind(Handler, ...args);
@@ -0,0 +1,238 @@
+/*eslint-disable no-unused-expressions */
+
+// Chai
+import { expect } from 'chai';
+
+// Sinon
+import sinon from 'sinon';
+
+// Bluebird
+import Promise from 'bluebird';
+
+// Module to test
+import { Handler, operation, NotImplementedError, InMemoryTracer, SpanStatusCode } from '../src';
+import { HttpHandler, route } from '../src/http';
+
+describe('HttpHandler', () => {
+  const v1Event = (httpMethod, path, extra) => Object.assign({ httpMethod, path }, extra);
+  const v2Event = (method, rawPath, extra) => Object.assign({ rawPath, requestContext: { http: { method } } }, extra);
+
+  class UserHandler extends HttpHandler {
+    @route('GET', '/users/{id}')
+    getUser() {
+      return { id: this.params.id, fields: this.query.fields, agent: this.headers['user-agent'] };
+    }
+    @route('post', '/users/')
+    createUser(user) {
+      return { statusCode: 201, headers: { location: '/users/1' }, body: user };
+    }
+    @route('PUT', '/users/{id}/avatar')
+    uploadAvatar(avatar) {
+      return { statusCode: 200, body: Buffer.isBuffer(avatar) ? avatar.toString() : avatar };
+    }
+    @route('DELETE', '/users/{id}')
+    deleteUser() {}
+    @route('GET', '/')
+    get root() { return new NotImplementedError('nothing here'); }
+    @operation
+    notRoutable() { return 'hidden'; }
+  }
+
+  describe('#handle()', () => {
+    /** @test {HttpHandler#dispatch} */
+    it('should route REST API events and expose path, query and header params', () => {
+      const event = v1Event('GET', '/users/42', {
+        queryStringParameters: { fields: 'name' },
+        headers: { 'User-Agent': 'curl' }
+      });
+      return new UserHandler().handle(event).then(res => {
+        expect(res).to.deep.equal({
+          statusCode: 200,
+          headers: { 'content-type': 'application/json' },
+          body: JSON.stringify({ id: '42', fields: 'name', agent: 'curl' })
+        });
+      });
+    });
+    /** @test {HttpHandler#decodeParams} */
+    it('should decode path parameters, rejecting malformed ones', () => {
+      const handler = new UserHandler();
+      return Promise.all([
+        handler.handle(v2Event('GET', '/users/a%20b%2Fc')),
+        handler.handle(v2Event('GET', '/users/a%zz'))
+      ]).then(([decoded, malformed]) => {
+        expect(JSON.parse(decoded.body).id).to.equal('a b/c');
+        expect(malformed).to.include({ statusCode: 400 });
+        expect(JSON.parse(malformed.body).error.message).to.equal('invalid path parameter "id": URI malformed');
+      });
+    });
+    /** @test {HttpHandler#dispatch} */
+    it('should route HTTP API and function URL events with a JSON body', () => {
+      const event = v2Event('POST', '/users', { body: '{"name":"Ann"}' });
+      return new UserHandler().handle(event).then(res => {
+        expect(res).to.deep.equal({
+          statusCode: 201,
+          headers: { 'content-type': 'application/json', location: '/users/1' },
+          body: '{"name":"Ann"}'
+        });
+      });
+    });
+    /** @test {HttpHandler#dispatch} */
+    it('should decode base64 bodies', () => {
+      const json = v1Event('POST', '/users', { body: Buffer.from('{"name":"Bo"}').toString('base64'), isBase64Encoded: true });
+      const text = v1Event('PUT', '/users/1/avatar', {
+        headers: { 'Content-Type': 'text/plain' },
+        body: Buffer.from('image').toString('base64'),
+        isBase64Encoded: true
+      });
+      const plain = v1Event('PUT', '/users/1/avatar', { headers: { 'content-type': 'text/plain' }, body: 'plain' });
+      const handler = new UserHandler();
+      return Promise.all([handler.handle(json), handler.handle(text), handler.handle(plain)]).then(res => {
+        expect(res.map(r => r.body)).to.deep.equal(['{"name":"Bo"}', 'image', 'plain']);
+      });
+    });
+    /** @test {HttpHandler#dispatch} */
+    it('should respond with 204 when the endpoint returns nothing', () => {
+      return new UserHandler().handle(v1Event('DELETE', '/users/1', { body: '' })).then(res => {
+        expect(res).to.deep.equal({ statusCode: 204, headers: {}, body: '' });
+      });
+    });
+    /** @test {HttpHandler#errorResponse} */
+    it('should respond to errors with their status and the error envelope', () => {
+      const handler = new UserHandler();
+      const events = [
+        v1Event('GET', '/groups'),
+        v1Event('POST', '/users', { body: '{' }),
+        v1Event('GET', '/'),
+        { operation: 'notRoutable' }
+      ];
+      return Promise.all(events.map(event => handler.handle(event))).then(res => {
+        const [notFound, badJson, notImplemented, notRoutable] = res;
+        expect(notFound).to.include({ statusCode: 404 });
+        expect(badJson).to.include({ statusCode: 400 });
+        expect(notImplemented).to.include({ statusCode: 501 });
+        expect(notRoutable).to.include({ statusCode: 400 });
+        expect(JSON.parse(notFound.body)).to.deep.equal({
+          error: {
+            name: 'NotFoundError',
+            code: 'NOT_FOUND',
+            status: 404,
+            message: 'endpoint not found for operation "GET /groups"'
+          }
+        });
+        expect(JSON.parse(badJson.body).error.message).to.match(/^invalid JSON body: /);
+      });
+    });
+    /** @test {HttpHandler#dispatch} */
+    it('should log errors and fail the span of server errors', () => {
+      const sink = sinon.spy();
+      const tracer = new InMemoryTracer();
+      const handler = new UserHandler({ log: { sink, level: 'info' }, tracer });
+      return handler.handle(v1Event('GET', '/')).then(res => {
+        expect(res).to.include({ statusCode: 501 });
+        return handler.handle(v1Event('GET', '/groups'));
+      }).then(() => {
+        const entries = sink.args.map(([line]) => JSON.parse(line));
+        const failed = entries.filter(entry => entry.message === 'request failed');
+        const rejected = entries.filter(entry => entry.message === 'request rejected');
+        expect(failed.map(entry => entry.level).join()).to.equal('error');
+        expect(failed[0]).to.include({ statusCode: 501, operation: 'GET /' });
+        expect(failed[0].error).to.include({ message: 'nothing here' });
+        expect(rejected.map(entry => entry.statusCode).join()).to.equal('404');
+        const [serverError, clientError] = tracer.spans.filter(span => span.name === 'handle');
+        expect(serverError.status).to.deep.equal({ code: SpanStatusCode.ERROR, message: 'nothing here' });
+        expect(clientError.status).to.deep.equal({ code: SpanStatusCode.UNSET });
+      });
+    });
+    /** @test {CachePolicy} */
+    it('should cache results by query string and caller', () => {
+      let calls = 0;
+      class ItemHandler extends HttpHandler {
+        @route('GET', '/items', { cache: true })
+        listItems() {
+          calls += 1;
+          return { limit: this.query.limit, caller: this.identity && this.identity.id, calls };
+        }
+      }
+      const handler = new ItemHandler();
+      const caller = id => ({ requestContext: { authorizer: { claims: { sub: id } } } });
+      const events = [
+        v1Event('GET', '/items', { queryStringParameters: { limit: '1' } }),
+        v1Event('GET', '/items', { queryStringParameters: { limit: '2' } }),
+        v1Event('GET', '/items', { queryStringParameters: { limit: '1' } }),
+        v1Event('GET', '/items', Object.assign({ queryStringParameters: { limit: '1' } }, caller('ann'))),
+        v1Event('GET', '/items', Object.assign({ queryStringParameters: { limit: '1' } }, caller('bo')))
+      ];
+      return Promise.mapSeries(events, event => handler.handle(event)).then(responses => {
+        const results = responses.map(res => JSON.parse(res.body));
+        expect(results.map(({ limit, caller: id, calls: call }) => `${limit} ${id} ${call}`)).to.deep.equal([
+          '1 undefined 1',
+          '2 undefined 2',
+          '1 undefined 1',
+          '1 ann 3',
+          '1 bo 4'
+        ]);
+      });
+    });
+    /** @test {IdempotencyPolicy} */
+    it('should de-duplicate requests by a header in any case', () => {
+      let calls = 0;
+      class OrderHandler extends HttpHandler {
+        @route('POST', '/orders', { idempotency: 'headers.idempotency-key' })
+        createOrder() {
+          calls += 1;
+          return { order: calls };
+        }
+      }
+      const handler = new OrderHandler();
+      const events = [
+        v1Event('POST', '/orders', { headers: { 'Idempotency-Key': 'a' } }),
+        v2Event('POST', '/orders', { headers: { 'idempotency-key': 'a' } }),
+        v1Event('POST', '/orders', { headers: { 'IDEMPOTENCY-KEY': 'b' } })
+      ];
+      return Promise.mapSeries(events, event => handler.handle(event)).then(responses => {
+        expect(responses.map(res => JSON.parse(res.body).order).join()).to.equal('1,1,2');
+      });
+    });
+    /** @test {HttpHandler#errorResponse} */
+    it('should use a custom error serializer', () => {
+      const handler = new UserHandler({ serializeErrors: e => ({ message: e.message }) });
+      return handler.handle(v1Event('GET', '/')).then(res => {
+        expect(res).to.deep.equal({
+          statusCode: 501,
+          headers: { 'content-type': 'application/json' },
+          body: '{"message":"nothing here"}'
+        });
+      });
+    });
+  });
+
+  describe('.defaultOptions', () => {
+    /** @test {HttpHandler.defaultOptions} */
+    it('should extract the operation from the method and path', () => {
+      const { operationKey, payloadKey } = new UserHandler().options;
+      expect(operationKey(v1Event('get', '/users/1/'))).to.equal('GET /users/1');
+      expect(operationKey(v2Event('GET', '/'))).to.equal('GET /');
+      expect(operationKey({ operation: 'x' })).to.be.undefined;
+      expect(payloadKey).to.equal(Handler.defaultOptions.payloadKey);
+    });
+  });
+});
+
+describe('route', () => {
+  /** @test {route} */
+  it('should attach the route to the operation metadata', () => {
+    class TestHandler extends HttpHandler {
+      @route('GET', '/users/{id}', { description: 'gets a user' })
+      getUser() {}
+    }
+    expect(TestHandler.listOperations()).to.deep.equal([{
+      name: 'GET /users/{id}',
+      metadata: { name: 'GET /users/{id}', description: 'gets a user', route: { method: 'GET', path: '/users/{id}' } }
+    }]);
+  });
+  /** @test {route} */
+  it('should throw a TypeError for an invalid method or path', () => {
+    expect(() => route('GET /', '/')).to.throw(TypeError, 'invalid HTTP method "GET /"');
+    expect(() => route('GET', 'users')).to.throw(TypeError, 'invalid HTTP path "users", must start with "/"');
+  });
+});
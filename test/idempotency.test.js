@@ -0,0 +1,144 @@
+/*eslint-disable no-unused-expressions */
+
+// Chai
+import { expect } from 'chai';
+
+// Sinon
+import sinon from 'sinon';
+
+// Bluebird
+import Promise from 'bluebird';
+
+// Module to test
+import {
+  IdempotencyStatus,
+  InMemoryIdempotencyStore,
+  recordStatus,
+  validateIdempotencyPolicy,
+  callIdempotent
+} from '../src/idempotency';
+import { ConflictError } from '../src/errors';
+
+describe('idempotency', () => {
+  const { IN_PROGRESS, COMPLETED, EXPIRED } = IdempotencyStatus;
+
+  describe('recordStatus()', () => {
+    /** @test {recordStatus} */
+    it('should report records past their expiry as expired', () => {
+      const expires = 1000;
+      const record = { status: COMPLETED, expires };
+      expect(recordStatus(record, expires - 1)).to.equal(COMPLETED);
+      expect(recordStatus(record, expires)).to.equal(EXPIRED);
+      expect(recordStatus({ status: IN_PROGRESS, expires: 0 })).to.equal(EXPIRED);
+    });
+  });
+
+  describe('InMemoryIdempotencyStore', () => {
+    /** @test {InMemoryIdempotencyStore#claim} */
+    it('should only claim keys without a record, or with an expired one', () => {
+      const store = new InMemoryIdempotencyStore();
+      const ttl = 1000;
+      const future = Date.now() + ttl;
+      const first = { status: IN_PROGRESS, expires: future };
+      expect(store.claim('a', first)).to.be.undefined;
+      expect(store.claim('a', { status: IN_PROGRESS, expires: future })).to.equal(first);
+      store.put('a', { status: COMPLETED, expires: 0 });
+      expect(store.claim('a', first)).to.be.undefined;
+      expect(store.get('a')).to.equal(first);
+      store.delete('a');
+      expect(store.get('a')).to.be.undefined;
+      store.put('b', first);
+      store.clear();
+      expect(store.get('b')).to.be.undefined;
+    });
+  });
+
+  describe('validateIdempotencyPolicy()', () => {
+    /** @test {validateIdempotencyPolicy} */
+    it('should accept valid policies', () => {
+      expect(() => validateIdempotencyPolicy('body.id')).to.not.throw();
+      expect(() => validateIdempotencyPolicy(event => event.id)).to.not.throw();
+      expect(() => validateIdempotencyPolicy({ key: 'id', ttl: 1, store: new InMemoryIdempotencyStore() })).to.not.throw();
+    });
+    /** @test {validateIdempotencyPolicy} */
+    it('should throw a TypeError for invalid policies', () => {
+      expect(() => validateIdempotencyPolicy(true)).to.throw(TypeError, 'invalid idempotency key, must be a path or a function');
+      expect(() => validateIdempotencyPolicy(null)).to.throw(TypeError, 'invalid idempotency key');
+      expect(() => validateIdempotencyPolicy({ key: '' })).to.throw(TypeError, 'invalid idempotency key');
+      expect(() => validateIdempotencyPolicy({ key: 'id', ttl: -1 })).to.throw(TypeError, 'invalid idempotency ttl, must be a positive number');
+      expect(() => validateIdempotencyPolicy({ key: 'id', store: {} }))
+        .to.throw(TypeError, 'invalid idempotency store, must have claim, put and delete methods');
+    });
+  });
+
+  describe('callIdempotent()', () => {
+    const event = { body: { id: 'order-1' } };
+    /** @test {callIdempotent} */
+    it('should return the stored result to repeats', () => {
+      const store = new InMemoryIdempotencyStore();
+      const fn = sinon.spy(() => ({ created: true }));
+      const call = () => callIdempotent('body.id', { operation: 'create', event, store }, fn);
+      return Promise.mapSeries([call, call], c => c()).then(([first, second]) => {
+        expect(first).to.deep.equal({ value: { created: true }, key: '"order-1"', repeated: false });
+        expect(second.repeated).to.be.true;
+        expect(second.value).to.equal(first.value);
+        expect(fn.calledOnce).to.be.true;
+        expect(store.get('create "order-1"').status).to.equal(COMPLETED);
+      });
+    });
+    /** @test {callIdempotent} */
+    it('should reject repeats while the call is in progress', () => {
+      const store = new InMemoryIdempotencyStore();
+      const policy = { key: 'body.id', store };
+      let finish;
+      const first = callIdempotent(policy, { operation: 'create', event, store: null, timeout: 1000 }, () => new Promise(resolve => {
+        finish = resolve;
+      }));
+      return Promise.delay(0).then(() => {
+        expect(store.get('create "order-1"').status).to.equal(IN_PROGRESS);
+        return callIdempotent(policy, { operation: 'create', event }, () => 'repeat').catch(e => e);
+      }).then(error => {
+        expect(error).to.be.an.instanceof(ConflictError);
+        expect(error.message).to.equal('operation "create" is already in progress for idempotency key "order-1"');
+        finish('done');
+        return first;
+      }).then(result => {
+        expect(result.value).to.equal('done');
+      });
+    });
+    /** @test {callIdempotent} */
+    it('should let failed and expired calls run again', () => {
+      const store = new InMemoryIdempotencyStore();
+      let calls = 0;
+      const fn = () => {
+        calls += 1;
+        if (calls === 1) {
+          throw new Error('failed');
+        }
+        return calls;
+      };
+      const call = () => callIdempotent({ key: 'body.id', ttl: 1 }, { operation: 'create', event, store }, fn);
+      return call().catch(e => e).then(error => {
+        expect(error.message).to.equal('failed');
+        expect(store.get('create "order-1"')).to.be.undefined;
+        return call();
+      }).then(result => {
+        expect(result.value).to.equal(calls);
+        return Promise.delay(2).then(call);
+      }).then(result => {
+        expect(result).to.include({ value: calls, repeated: false });
+        expect(calls).to.be.above(2);
+      });
+    });
+    /** @test {callIdempotent} */
+    it('should not de-duplicate calls without a key', () => {
+      const store = new InMemoryIdempotencyStore();
+      const fn = sinon.spy(() => 'result');
+      const call = () => callIdempotent('body.id', { operation: 'create', event: {}, store }, fn);
+      return Promise.mapSeries([call, call], c => c()).then(results => {
+        expect(results[0]).to.deep.equal({ value: 'result', key: undefined, repeated: false });
+        expect(fn.calledTwice).to.be.true;
+      });
+    });
+  });
+});
@@ -0,0 +1,110 @@
+/*eslint-disable no-unused-expressions */
+
+// Chai
+import { expect } from 'chai';
+
+// Sinon
+import sinon from 'sinon';
+
+// Module to test
+import { Logger } from '../src/logger';
+import { BadRequestError } from '../src/errors';
+
+describe('Logger', () => {
+  function entries(sink) {
+    return sink.args.map(([line]) => JSON.parse(line));
+  }
+
+  describe('constructor', () => {
+    /** @test {Logger} */
+    it('should default to the LOG_LEVEL environment variable', () => {
+      const level = process.env.LOG_LEVEL;
+      process.env.LOG_LEVEL = 'warn';
+      const fromEnv = new Logger();
+      delete process.env.LOG_LEVEL;
+      const byDefault = new Logger();
+      if (level !== undefined) {
+        process.env.LOG_LEVEL = level;
+      }
+      expect(fromEnv.level).to.equal('warn');
+      expect(byDefault.level).to.equal('info');
+    });
+    /** @test {Logger} */
+    it('should throw a TypeError for an unknown level', () => {
+      expect(() => new Logger({ level: 'trace' })).to.throw(TypeError, 'invalid log level "trace"');
+    });
+  });
+
+  describe('#write()', () => {
+    /** @test {Logger#write} */
+    it('should write JSON lines with the level, time, message and fields', () => {
+      const sink = sinon.spy();
+      new Logger({ sink, level: 'info', fields: { service: 'users' } }).info('started', { count: 1 });
+      const [entry] = entries(sink);
+      expect(sink.args[0][1]).to.equal('info');
+      expect(entry).to.include({ level: 'info', message: 'started', service: 'users', count: 1 });
+      expect(new Date(entry.time).toISOString()).to.equal(entry.time);
+    });
+    /** @test {Logger#write} */
+    it('should drop entries below the level', () => {
+      const sink = sinon.spy();
+      const logger = new Logger({ sink, level: 'warn' });
+      logger.debug('a');
+      logger.info('b');
+      logger.warn('c');
+      logger.error('d');
+      new Logger({ sink, level: 'silent' }).error('e');
+      expect(entries(sink).map(entry => entry.level)).to.deep.equal(['warn', 'error']);
+      expect(logger.isEnabled('debug')).to.be.false;
+      expect(logger.isEnabled('error')).to.be.true;
+    });
+    /** @test {Logger#write} */
+    it('should redact fields at any depth', () => {
+      const sink = sinon.spy();
+      const logger = new Logger({ sink, level: 'info', redact: ['password', 'token'] });
+      logger.info('login', { user: { name: 'ann', password: 'secret' }, token: 'abc', tokens: 1 });
+      const [entry] = entries(sink);
+      expect(entry.user).to.deep.equal({ name: 'ann', password: '[REDACTED]' });
+      expect(entry).to.include({ token: '[REDACTED]', tokens: 1 });
+    });
+    /** @test {Logger#write} */
+    it('should serialize errors', () => {
+      const sink = sinon.spy();
+      const logger = new Logger({ sink, level: 'error' });
+      logger.error(new Error('boom'));
+      logger.error('failed', { error: new BadRequestError('bad input') });
+      const [plain, handlerError] = entries(sink);
+      expect(plain).to.include({ level: 'error', message: 'boom' });
+      expect(plain.error).to.include({ name: 'Error', message: 'boom' });
+      expect(plain.error.stack).to.be.a('string');
+      expect(handlerError.error).to.include({ name: 'BadRequestError', code: 'BAD_REQUEST', message: 'bad input' });
+    });
+    /** @test {Logger#write} */
+    it('should write to the console by default', () => {
+      const methods = ['log', 'warn', 'error'].map(method => sinon.stub(console, method));
+      const logger = new Logger({ level: 'debug' });
+      logger.debug('a');
+      logger.info('b');
+      logger.warn('c');
+      logger.error('d');
+      methods.forEach(method => method.restore());
+      const [log, warn, error] = methods.map(method => method.args.map(([line]) => JSON.parse(line).message).join());
+      expect({ log, warn, error }).to.deep.equal({ log: 'a,b', warn: 'c', error: 'd' });
+    });
+  });
+
+  describe('#child()', () => {
+    /** @test {Logger#child} */
+    it('should add fields to the entries of the child only', () => {
+      const sink = sinon.spy();
+      const logger = new Logger({ sink, level: 'debug', redact: ['secret'], fields: { a: 1 } });
+      const child = logger.child({ b: 'b', secret: 'x' });
+      child.debug('child');
+      logger.debug('parent');
+      const [fromChild, fromParent] = entries(sink);
+      expect(fromChild).to.include({ a: 1, b: 'b', secret: '[REDACTED]' });
+      expect(fromParent).to.not.have.property('b');
+      expect(child.level).to.equal('debug');
+    });
+  });
+});
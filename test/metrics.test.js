@@ -0,0 +1,104 @@
+/*eslint-disable no-unused-expressions */
+
+// Chai
+import { expect } from 'chai';
+
+// Sinon
+import sinon from 'sinon';
+
+// Module to test
+import { Metrics } from '../src/metrics';
+
+describe('Metrics', () => {
+  function documents(sink) {
+    return sink.args.map(([line]) => JSON.parse(line));
+  }
+
+  describe('constructor', () => {
+    /** @test {Metrics} */
+    it('should throw a TypeError for invalid options', () => {
+      expect(() => new Metrics({ namespace: '' })).to.throw(TypeError, 'invalid metrics namespace, must be a non-empty string');
+      expect(() => new Metrics({ dimensions: { Stage: 1 } })).to.throw(TypeError, 'invalid value for dimension "Stage", must be a string');
+    });
+  });
+
+  describe('#put()', () => {
+    /** @test {Metrics#put} */
+    it('should throw a TypeError for invalid metrics', () => {
+      const metrics = new Metrics({ sink: null });
+      expect(() => metrics.put('', 1)).to.throw(TypeError, 'invalid metric name, must be a non-empty string');
+      expect(() => metrics.put('Items', '1')).to.throw(TypeError, 'invalid value for metric "Items", must be a finite number');
+      expect(() => metrics.put('Items', Infinity)).to.throw(TypeError, 'invalid value for metric "Items"');
+      expect(() => metrics.put('Items', 1, 'Apples')).to.throw(TypeError, 'invalid unit for metric "Items": Apples');
+    });
+  });
+
+  describe('#flush()', () => {
+    /** @test {Metrics#flush} */
+    it('should emit the metrics in the Embedded Metric Format', () => {
+      const sink = sinon.spy();
+      const latency = 120;
+      const metrics = new Metrics({ namespace: 'shop', dimensions: { Service: 'orders' }, sink });
+      metrics.put('ItemsSold', 1);
+      metrics.put('ItemsSold', 2);
+      metrics.put('Latency', latency, 'Milliseconds');
+      metrics.setProperty('orderId', 'order-1');
+      metrics.flush();
+      const [document] = documents(sink);
+      expect(document._aws.Timestamp).to.be.a('number');
+      expect(document._aws.CloudWatchMetrics).to.deep.equal([{
+        Namespace: 'shop',
+        Dimensions: [['Service']],
+        Metrics: [{ Name: 'ItemsSold', Unit: 'Count' }, { Name: 'Latency', Unit: 'Milliseconds' }]
+      }]);
+      expect(document).to.include({ Service: 'orders', Latency: latency, orderId: 'order-1' });
+      expect(document.ItemsSold.join()).to.equal('1,2');
+    });
+    /** @test {Metrics#flush} */
+    it('should clear the metrics once emitted', () => {
+      const sink = sinon.spy();
+      const metrics = new Metrics({ sink });
+      metrics.flush();
+      metrics.put('Items', 1);
+      metrics.setProperty('batch', 'a');
+      metrics.flush();
+      metrics.flush();
+      metrics.put('Other', 1);
+      metrics.flush();
+      const [first, second] = documents(sink);
+      expect(sink.callCount).to.equal(2);
+      expect(first._aws.CloudWatchMetrics[0]).to.include({ Namespace: 'lambda6' });
+      expect(first).to.include({ Items: 1, batch: 'a' });
+      expect(second).to.not.have.any.keys('Items', 'batch');
+    });
+    /** @test {Metrics#flush} */
+    it('should write to stdout by default and discard without a sink', () => {
+      const log = sinon.stub(console, 'log');
+      const metrics = new Metrics();
+      metrics.put('Items', 1);
+      metrics.flush();
+      const discarded = new Metrics({ sink: null });
+      discarded.put('Items', 1);
+      discarded.flush();
+      log.restore();
+      expect(log.calledOnce).to.be.true;
+      expect(JSON.parse(log.args[0][0])).to.include({ Items: 1 });
+    });
+  });
+
+  describe('#child()', () => {
+    /** @test {Metrics#child} */
+    it('should add dimensions to an empty recorder', () => {
+      const sink = sinon.spy();
+      const metrics = new Metrics({ namespace: 'shop', dimensions: { Service: 'orders' }, sink });
+      metrics.put('Parent', 1);
+      const child = metrics.child({ Operation: 'buy' });
+      child.put('Child', 1);
+      child.flush();
+      const [document] = documents(sink);
+      expect(document).to.include({ Service: 'orders', Operation: 'buy', Child: 1 });
+      expect(document).to.not.have.property('Parent');
+      expect(document._aws.CloudWatchMetrics[0].Dimensions).to.deep.equal([['Service', 'Operation']]);
+    });
+  });
+});
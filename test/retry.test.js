@@ -0,0 +1,170 @@
+/*eslint-disable no-unused-expressions */
+
+// Chai
+import { expect } from 'chai';
+
+// Sinon
+import sinon from 'sinon';
+
+// Bluebird
+import Promise from 'bluebird';
+
+// Module to test
+import { retry, validateRetryPolicy } from '../src/retry';
+import { BadRequestError, InternalError, NotFoundError, TimeoutError } from '../src/errors';
+
+describe('retry', () => {
+
+  describe('retry()', () => {
+    const fast = { delay: 1, jitter: false };
+    function failing(errors, result = 'done') {
+      const attempts = [];
+      const fn = number => {
+        attempts.push(number);
+        if (errors.length) {
+          throw errors.shift();
+        }
+        return result;
+      };
+      return { fn, attempts };
+    }
+    /** @test {retry} */
+    it('should retry until the function succeeds', () => {
+      const { fn, attempts } = failing([new Error('a'), new InternalError('b')]);
+      return retry(fn, fast).then(result => {
+        expect(result).to.equal('done');
+        expect(attempts.join()).to.equal('1,2,3');
+      });
+    });
+    /** @test {retry} */
+    it('should call the function once without a policy', () => {
+      const { fn, attempts } = failing([new Error('a')]);
+      return retry(fn).then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        expect(e.message).to.equal('a');
+        expect(attempts).to.deep.equal([1]);
+      });
+    });
+    /** @test {retry} */
+    it('should throw the last error once the attempts are exhausted', () => {
+      const { fn, attempts } = failing([new Error('a'), new Error('b'), new Error('c')]);
+      return retry(fn, Object.assign({ attempts: 2 }, fast)).then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        expect(e.message).to.equal('b');
+        expect(attempts).to.deep.equal([1, 2]);
+      });
+    });
+    /** @test {retry} */
+    it('should not retry client errors by default', () => {
+      const { fn, attempts } = failing([new BadRequestError('bad')]);
+      return retry(fn, fast).then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        expect(e).to.be.an.instanceof(BadRequestError);
+        expect(attempts).to.deep.equal([1]);
+      });
+    });
+    /** @test {retry} */
+    it('should only retry the errors that are retryable', () => {
+      const throttled = Object.assign(new Error('throttled'), { code: 'THROTTLED' });
+      const byType = failing([new TimeoutError('slow'), throttled, new NotFoundError('missing')]);
+      const byPredicate = failing([new BadRequestError('bad'), new Error('other')]);
+      return Promise.all([
+        retry(byType.fn, Object.assign({ attempts: 5, retryable: [TimeoutError, 'THROTTLED'] }, fast)).catch(e => e),
+        retry(byPredicate.fn, Object.assign({ retryable: e => e instanceof BadRequestError }, fast)).catch(e => e),
+        retry(failing([null]).fn, Object.assign({ retryable: ['THROTTLED'] }, fast)).catch(e => e)
+      ]).then(([typeError, predicateError, nullError]) => {
+        expect(typeError).to.be.an.instanceof(NotFoundError);
+        expect(byType.attempts.join()).to.equal('1,2,3');
+        expect(predicateError.message).to.equal('other');
+        expect(byPredicate.attempts.join()).to.equal('1,2');
+        expect(nullError).to.be.null;
+      });
+    });
+    /** @test {retry} */
+    it('should back off exponentially with optional jitter', () => {
+      const policy = { attempts: 5, delay: 10, factor: 3, maxDelay: 50, jitter: false, random: 0.5 };
+      const delay = sinon.stub(Promise, 'delay').returns(Promise.resolve());
+      const random = sinon.stub(Math, 'random').returns(policy.random);
+      return retry(failing(['a', 'b', 'c', 'd']).fn, policy)
+      .then(() => retry(failing(['a']).fn, { delay: policy.delay }))
+      .then(() => {
+        expect(delay.args.join()).to.equal('10,30,50,50,5');
+      })
+      .finally(() => {
+        delay.restore();
+        random.restore();
+      });
+    });
+    /** @test {retry} */
+    it('should not wait past the deadline', () => {
+      const { fn, attempts } = failing([new Error('a'), new Error('b')]);
+      const ms = { deadline: 50, delay: 100 };
+      const deadline = Date.now() + ms.deadline;
+      return retry(fn, { delay: ms.delay, jitter: false }, { deadline }).then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        expect(e.message).to.equal('a');
+        expect(attempts).to.deep.equal([1]);
+      });
+    });
+    /** @test {retry} */
+    it('should stop retrying when the signal is aborted', () => {
+      const { fn, attempts } = failing([new Error('a')]);
+      return retry(fn, fast, { signal: { aborted: true } }).then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        expect(e.message).to.equal('a');
+        expect(attempts).to.deep.equal([1]);
+      });
+    });
+    /** @test {retry} */
+    it('should stop waiting for the next attempt when the signal is aborted', () => {
+      const signal = { aborted: false };
+      const ms = { abort: 5, delay: 20 };
+      const { fn, attempts } = failing([new Error('a'), new Error('b')]);
+      const aborting = number => {
+        setTimeout(() => {
+          signal.aborted = true;
+        }, ms.abort);
+        return fn(number);
+      };
+      return retry(aborting, { delay: ms.delay, jitter: false }, { signal }).then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        expect(e.message).to.equal('a');
+        expect(attempts).to.deep.equal([1]);
+      });
+    });
+  });
+
+  describe('validateRetryPolicy()', () => {
+    /** @test {validateRetryPolicy} */
+    it('should accept a valid policy', () => {
+      expect(() => validateRetryPolicy({})).to.not.throw();
+      expect(() => validateRetryPolicy({
+        attempts: 1,
+        delay: 0,
+        factor: 1,
+        maxDelay: 0,
+        jitter: false,
+        retryable: [Error, 'CODE']
+      })).to.not.throw();
+      expect(() => validateRetryPolicy({ retryable: () => true })).to.not.throw();
+    });
+    /** @test {validateRetryPolicy} */
+    it('should throw a TypeError for an invalid policy', () => {
+      expect(() => validateRetryPolicy(null)).to.throw(TypeError, 'invalid type for retry policy, must be an object');
+      expect(() => validateRetryPolicy(true)).to.throw(TypeError, 'invalid type for retry policy, must be an object');
+      expect(() => validateRetryPolicy({ attempts: 0 })).to.throw(TypeError, 'invalid retry attempts, must be a positive integer');
+      expect(() => validateRetryPolicy({ attempts: 1.5 })).to.throw(TypeError, 'invalid retry attempts');
+      expect(() => validateRetryPolicy({ delay: -1 })).to.throw(TypeError, 'invalid retry delay, must be a non-negative number');
+      expect(() => validateRetryPolicy({ maxDelay: '1' })).to.throw(TypeError, 'invalid retry maxDelay');
+      expect(() => validateRetryPolicy({ jitter: 1 })).to.throw(TypeError, 'invalid retry jitter, must be a boolean');
+      expect(() => validateRetryPolicy({ retryable: 'CODE' })).to.throw(TypeError, 'invalid retry retryable');
+      expect(() => validateRetryPolicy({ retryable: [1] })).to.throw(TypeError, 'invalid retry retryable');
+    });
+  });
+});
@@ -0,0 +1,91 @@
+/*eslint-disable no-unused-expressions */
+
+// Chai
+import { expect } from 'chai';
+
+// Module to test
+import { validate } from '../src/schema';
+
+describe('schema', () => {
+
+  describe('validate()', () => {
+    const userSchema = {
+      type: 'object',
+      required: ['id', 'name'],
+      additionalProperties: false,
+      properties: {
+        id: { type: 'integer', minimum: 1 },
+        name: { type: 'string', minLength: 1, maxLength: 5, pattern: '^[a-z]+$' },
+        role: { enum: ['admin', 'user'] },
+        tags: { type: 'array', maxItems: 2, items: { type: 'string' } }
+      }
+    };
+    /** @test {validate} */
+    it('should accept any value without a schema', () => {
+      expect(validate({ anything: true })).to.deep.equal([]);
+    });
+    /** @test {validate} */
+    it('should accept a valid value', () => {
+      expect(validate({ id: 1, name: 'bond', role: 'user', tags: ['a'] }, userSchema, 'payload')).to.deep.equal([]);
+    });
+    /** @test {validate} */
+    it('should report a type mismatch at the root', () => {
+      expect(validate('user', userSchema, 'payload')).to.deep.equal([
+        { path: 'payload', message: 'must be object' }
+      ]);
+    });
+    /** @test {validate} */
+    it('should report every failing path', () => {
+      const value = { id: 0.5, name: 'BOND007', role: 'root', tags: ['a', 1, 'c'], extra: true };
+      expect(validate(value, userSchema, 'payload')).to.deep.equal([
+        { path: 'payload.id', message: 'must be integer' },
+        { path: 'payload.name', message: 'must have at most 5 characters' },
+        { path: 'payload.name', message: 'must match pattern ^[a-z]+$' },
+        { path: 'payload.role', message: 'must be one of ["admin","user"]' },
+        { path: 'payload.tags', message: 'must have at most 2 items' },
+        { path: 'payload.tags[1]', message: 'must be string' },
+        { path: 'payload.extra', message: 'is not allowed' }
+      ]);
+    });
+    /** @test {validate} */
+    it('should report missing required properties', () => {
+      expect(validate({ id: 0 }, userSchema, 'payload')).to.deep.equal([
+        { path: 'payload.name', message: 'is required' },
+        { path: 'payload.id', message: 'must be >= 1' }
+      ]);
+    });
+    /** @test {validate} */
+    it('should support the remaining numeric, array and string keywords', () => {
+      const schema = {
+        type: 'object',
+        additionalProperties: { type: 'number', exclusiveMinimum: 0, exclusiveMaximum: 10, maximum: 5 },
+        properties: {
+          list: { type: 'array', minItems: 1 },
+          code: { type: 'string', minLength: 2 },
+          version: { const: 2 }
+        }
+      };
+      const value = { list: [], code: 'a', version: 1, low: 0, high: 10, ok: 1.5 };
+      expect(validate(value, schema)).to.deep.equal([
+        { path: '.list', message: 'must have at least 1 items' },
+        { path: '.code', message: 'must have at least 2 characters' },
+        { path: '.version', message: 'must be equal to 2' },
+        { path: '.low', message: 'must be > 0' },
+        { path: '.high', message: 'must be <= 5' },
+        { path: '.high', message: 'must be < 10' }
+      ]);
+    });
+    /** @test {validate} */
+    it('should support multiple types and anyOf', () => {
+      const schema = { type: ['string', 'null'], anyOf: [{ type: 'null' }, { minLength: 3 }] };
+      expect(validate(null, schema, 'value')).to.deep.equal([]);
+      expect(validate('abc', schema, 'value')).to.deep.equal([]);
+      expect(validate('ab', schema, 'value')).to.deep.equal([
+        { path: 'value', message: 'must match a schema in anyOf' }
+      ]);
+      expect(validate(1, schema, 'value')).to.deep.equal([
+        { path: 'value', message: 'must be string or null' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+/*eslint-disable no-unused-expressions */
+
+// Chai
+import { expect } from 'chai';
+
+// Node
+import http from 'http';
+
+// Bluebird
+import Promise from 'bluebird';
+
+// Module to test
+import { Handler, operation } from '../src';
+import { HttpHandler, route } from '../src/http';
+import { createServer, main } from '../src/server';
+
+/**
+ * Sends a request to a listening server.
+ * @param {http.Server} server - the server
+ * @param {Object} options - the `method`, `path`, `body` and `headers` of the request
+ * @return {Promise} that resolves to the `{ statusCode, headers, body }` response
+ */
+function request(server, { method = 'POST', path = '/', body, headers }) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ port: server.address().port, method, path, headers }, res => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => {
+        resolve({ statusCode: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString() });
+      });
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+describe('createServer()', () => {
+  class TestHandler extends Handler {
+    @operation
+    remaining() { return { remaining: this.context.getRemainingTimeInMillis() > 0 }; }
+    @operation
+    nothing() {}
+  }
+  class UserHandler extends HttpHandler {
+    @route('GET', '/users/{id}')
+    getUser() { return { id: this.params.id, fields: this.query.fields }; }
+  }
+  const servers = [];
+  function listen(handler, options) {
+    const server = createServer(handler, options);
+    servers.push(server);
+    return Promise.fromCallback(callback => server.listen(0, callback)).then(() => server);
+  }
+  afterEach(() => {
+    return Promise.all(servers.splice(0).map(server => Promise.fromCallback(callback => server.close(callback))));
+  });
+
+  /** @test {createServer} */
+  it('should handle POSTed events with a realistic context', () => {
+    return listen(TestHandler, { timeout: 10000 }).then(server => {
+      return Promise.all([
+        request(server, { body: '{"operation":"remaining"}' }),
+        request(server, { body: '{"operation":"nothing"}' })
+      ]);
+    }).then(([remaining, nothing]) => {
+      expect(remaining).to.include({ statusCode: 200, body: '{"remaining":true}' });
+      expect(remaining.headers['content-type']).to.equal('application/json');
+      expect(nothing).to.include({ statusCode: 200, body: 'null' });
+    });
+  });
+  /** @test {createServer} */
+  it('should respond to errors with their status and the error envelope', () => {
+    return listen(new TestHandler()).then(server => {
+      return Promise.all([
+        request(server, { body: '{"operation":"missing"}' }),
+        request(server, { body: '{' }),
+        request(server, {}),
+        request(server, { method: 'GET' })
+      ]);
+    }).then(([missing, invalid, empty, get]) => {
+      expect(missing).to.include({ statusCode: 404 });
+      expect(JSON.parse(missing.body).error).to.include({ code: 'NOT_FOUND' });
+      expect(invalid).to.include({ statusCode: 400 });
+      expect(JSON.parse(invalid.body).error.message).to.match(/^invalid JSON event: /);
+      expect(empty).to.include({ statusCode: 400 });
+      expect(get).to.include({ statusCode: 405, body: '' });
+      expect(get.headers.allow).to.equal('POST');
+    });
+  });
+  /** @test {createServer} */
+  it('should use a custom error serializer', () => {
+    const handler = new TestHandler({ serializeErrors: e => ({ message: e.message }) });
+    return listen(handler).then(server => request(server, { body: '{"operation":"missing"}' })).then(res => {
+      expect(res).to.include({ statusCode: 404, body: '{"message":"endpoint not found for operation \\"missing\\""}' });
+    });
+  });
+  /** @test {createServer} */
+  it('should send HTTP requests to an HttpHandler', () => {
+    return listen(UserHandler).then(server => {
+      return Promise.all([
+        request(server, { method: 'GET', path: '/users/1?fields=name&fields=email' }),
+        request(server, { method: 'POST', path: '/users', body: '{}' })
+      ]);
+    }).then(([user, missing]) => {
+      expect(user).to.include({ statusCode: 200, body: '{"id":"1","fields":"name,email"}' });
+      expect(missing).to.include({ statusCode: 404 });
+    });
+  });
+  /** @test {createServer} */
+  it('should throw a TypeError if the handler is not a Handler', () => {
+    const message = 'handler must be a Handler or a subclass of Handler';
+    expect(() => createServer(Handler)).to.throw(TypeError, message);
+    expect(() => createServer({})).to.throw(TypeError, message);
+  });
+});
+
+describe('main()', () => {
+  /** @test {main} */
+  it('should serve the handler exported by a module', () => {
+    const messages = [];
+    const server = main(['src/http.js', '--handler', 'HttpHandler', '--port', '0', '--timeout', '100'], message => {
+      messages.push(message);
+    });
+    return Promise.fromCallback(callback => server.on('listening', callback)).then(() => {
+      return request(server, { method: 'GET', path: '/' });
+    }).then(res => {
+      expect(res).to.include({ statusCode: 404 });
+      expect(messages).to.deep.equal([`lambda6 is serving src/http.js at http://localhost:${server.address().port}`]);
+    }).finally(() => Promise.fromCallback(callback => server.close(callback)));
+  });
+  /** @test {main} */
+  it('should throw a TypeError for invalid arguments', () => {
+    expect(() => main([])).to.throw(TypeError, 'module is required');
+    expect(() => main(['a', 'b'])).to.throw(TypeError, 'unexpected argument "b"');
+    expect(() => main(['a', '--verbose'])).to.throw(TypeError, 'unexpected argument "--verbose"');
+    expect(() => main(['a', '--port', 'x'])).to.throw(TypeError, 'invalid port, must be a number');
+    expect(() => main(['a', '--timeout'])).to.throw(TypeError, 'invalid timeout, must be a number');
+    expect(() => main(['src/http.js'])).to.throw(TypeError, 'handler must be a Handler or a subclass of Handler');
+  });
+});
@@ -0,0 +1,212 @@
+/*eslint-disable no-unused-expressions */
+
+// Chai
+import { expect } from 'chai';
+
+// Node
+import { AssertionError } from 'assert';
+
+// Module to test
+import { Handler, operation, parseRecord, recordId, NotFoundError } from '../src';
+import { HttpHandler, route } from '../src/http';
+import {
+  mockContext,
+  invoke,
+  expectOperation,
+  sqsEvent,
+  snsEvent,
+  kinesisEvent,
+  dynamodbEvent,
+  httpEvent,
+  apiGatewayEvent,
+  scheduledEvent
+} from '../src/testing';
+
+describe('testing', () => {
+  class TestHandler extends Handler {
+    @operation
+    greet(name) {
+      console.log('greeting %s', name); //eslint-disable-line no-console
+      return `Hello ${name}`;
+    }
+    @operation
+    fail() {
+      console.error('failing'); //eslint-disable-line no-console
+      throw new NotFoundError('no greeting', { reason: 'missing' });
+    }
+  }
+
+  describe('mockContext()', () => {
+    /** @test {mockContext} */
+    it('should record the outcome reported to the context', () => {
+      const context = mockContext({ functionName: 'greeter' });
+      expect(context.functionName).to.equal('greeter');
+      expect(context.getRemainingTimeInMillis()).to.be.above(0);
+      expect(context.outcome).to.be.undefined;
+      context.succeed('result');
+      expect(context.outcome).to.deep.equal({ success: true, result: 'result' });
+      context.done('error');
+      expect(context.outcome).to.deep.equal({ success: false, error: 'error' });
+      context.done(null, 'done');
+      expect(context.outcome).to.deep.equal({ success: true, result: 'done' });
+    });
+  });
+
+  describe('invoke()', () => {
+    /** @test {invoke} */
+    it('should handle the event and capture the logs', () => {
+      const context = mockContext();
+      const log = console.log; //eslint-disable-line no-console
+      return invoke(TestHandler, { operation: 'greet', payload: 'Ann' }, context).then(result => {
+        expect(result).to.equal('Hello Ann');
+        expect(context.outcome).to.deep.equal({ success: true, result: 'Hello Ann' });
+        expect(context.logs).to.deep.equal([{ level: 'log', message: 'greeting Ann' }]);
+        expect(console.log).to.equal(log); //eslint-disable-line no-console
+      });
+    });
+    /** @test {invoke} */
+    it('should reject like the handler and restore the console', () => {
+      const context = mockContext();
+      const error = console.error; //eslint-disable-line no-console
+      return invoke(new TestHandler({ style: 'async' }), { operation: 'fail' }, context).then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        expect(e).to.be.an.instanceof(NotFoundError);
+        expect(context.outcome).to.be.undefined;
+        expect(context.logs).to.deep.equal([{ level: 'error', message: 'failing' }]);
+        expect(console.error).to.equal(error); //eslint-disable-line no-console
+      });
+    });
+    /** @test {invoke} */
+    it('should accept any context', () => {
+      return invoke(TestHandler, { operation: 'greet', payload: 'Bo' }, {}).then(result => {
+        expect(result).to.equal('Hello Bo');
+      });
+    });
+    /** @test {invoke} */
+    it('should throw a TypeError if the handler is not a Handler', () => {
+      expect(() => invoke({}, {})).to.throw(TypeError, 'handler must be a Handler or a subclass of Handler');
+    });
+  });
+
+  describe('expectOperation()', () => {
+    /** @test {expectOperation} */
+    it('should assert the result of an operation', () => {
+      const context = mockContext();
+      return expectOperation(TestHandler, 'greet', 'Ann', context).toResolveWith('Hello Ann').then(result => {
+        expect(result).to.equal('Hello Ann');
+        expect(context.logs).to.have.length(1);
+        return expectOperation(TestHandler, 'greet', 'Ann').toResolveWith('Hello Bo');
+      }).then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        expect(e).to.be.an.instanceof(AssertionError);
+      });
+    });
+    /** @test {expectOperation} */
+    it('should fail to assert the result of a failing operation', () => {
+      return expectOperation(TestHandler, 'fail').toResolveWith('Hello').then(() => {
+        throw new Error('should have failed');
+      }, e => {
+        expect(e).to.be.an.instanceof(AssertionError);
+        expect(e.message).to.match(/^expected operation "fail" to resolve, but it rejected with /);
+      });
+    });
+    /** @test {expectOperation} */
+    it('should assert the error of an operation', () => {
+      const handler = new TestHandler();
+      return Promise.all([
+        expectOperation(handler, 'fail').toRejectWith(),
+        expectOperation(handler, 'fail').toRejectWith(NotFoundError),
+        expectOperation(handler, 'fail').toRejectWith('no greeting'),
+        expectOperation(handler, 'fail').toRejectWith(/greeting/),
+        expectOperation(handler, 'fail').toRejectWith({ code: 'NOT_FOUND', details: { reason: 'missing' } })
+      ]).then(errors => {
+        errors.forEach(error => expect(error).to.be.an.instanceof(NotFoundError));
+      });
+    });
+    /** @test {expectOperation} */
+    it('should dispatch the payload to the endpoints of an HttpHandler', () => {
+      class UserHandler extends HttpHandler {
+        @route('POST', '/users')
+        createUser(user) { return { created: user.name, query: this.query }; }
+        @route('GET', '/users/{id}')
+        getUser() { throw new NotFoundError(`user ${this.params.id} not found`); }
+      }
+      return Promise.all([
+        expectOperation(UserHandler, 'POST /users', { name: 'Ann' }).toResolveWith({ created: 'Ann', query: {} }),
+        expectOperation(UserHandler, 'GET /users/7').toRejectWith({ code: 'NOT_FOUND', message: 'user 7 not found' })
+      ]);
+    });
+    /** @test {expectOperation} */
+    it('should fail to assert an unexpected error', () => {
+      const handler = new TestHandler();
+      const expectations = [
+        expectOperation(handler, 'greet', 'Ann').toRejectWith(),
+        expectOperation(handler, 'fail').toRejectWith(TypeError),
+        expectOperation(handler, 'fail').toRejectWith('other'),
+        expectOperation(handler, 'fail').toRejectWith(/other/),
+        expectOperation(handler, 'fail').toRejectWith({ code: 'OTHER' })
+      ];
+      return Promise.all(expectations.map(expectation => expectation.then(() => {
+        throw new Error('should have failed');
+      }, e => e))).then(errors => {
+        errors.forEach(error => expect(error).to.be.an.instanceof(AssertionError));
+        expect(errors[0].message).to.equal('expected operation "greet" to reject, but it resolved with \'Hello Ann\'');
+        expect(errors[1].message).to.match(/to be an instance of TypeError$/);
+      });
+    });
+  });
+
+  describe('event builders', () => {
+    /** @test {sqsEvent} */
+    it('should build batch events that the batch mode parses', () => {
+      const body = { operation: 'greet' };
+      const events = [
+        sqsEvent([body, 'text']),
+        snsEvent([body]),
+        kinesisEvent([body]),
+        dynamodbEvent([{ Keys: { id: { S: '1' } } }, { eventName: 'REMOVE' }])
+      ];
+      const [sqs, sns, kinesis, dynamodb] = events.map(event => event.Records);
+      expect(sqs.map(recordId)).to.deep.equal(['message-1', 'message-2']);
+      expect(sqs.map(record => record.body)).to.deep.equal(['{"operation":"greet"}', 'text']);
+      expect(parseRecord(sqs[0])).to.deep.equal(body);
+      expect(parseRecord(sns[0])).to.deep.equal(body);
+      expect(recordId(sns[0])).to.equal('message-1');
+      expect(parseRecord(kinesis[0])).to.deep.equal(body);
+      expect(recordId(kinesis[0])).to.equal('1');
+      expect(dynamodb.map(record => record.eventName)).to.deep.equal(['INSERT', 'REMOVE']);
+      expect(dynamodb[0].dynamodb.Keys).to.deep.equal({ id: { S: '1' } });
+      expect(recordId(dynamodb[1])).to.equal('2');
+    });
+    /** @test {httpEvent} */
+    it('should build HTTP events that an HttpHandler routes', () => {
+      class UserHandler extends HttpHandler {
+        @route('POST', '/users')
+        createUser(user) { return { user, query: this.query, agent: this.headers['user-agent'] }; }
+        @route('GET', '/users')
+        findUsers() { return this.query; }
+      }
+      const options = { body: { name: 'Ann' }, query: { dryRun: 'yes & no' }, headers: { 'user-agent': 'test' } };
+      const v2 = httpEvent('POST', '/users', options);
+      const expected = { user: { name: 'Ann' }, query: { dryRun: 'yes & no' }, agent: 'test' };
+      expect(v2.rawQueryString).to.equal('dryRun=yes%20%26%20no');
+      expect(v2.headers['content-type']).to.equal('application/json');
+      return Promise.all([
+        invoke(UserHandler, v2),
+        invoke(UserHandler, apiGatewayEvent('POST', '/users', options)),
+        invoke(UserHandler, httpEvent('GET', '/users', { headers: { 'content-type': 'text/plain' }, body: 'text' })),
+        invoke(UserHandler, apiGatewayEvent('GET', '/users'))
+      ]).then(responses => {
+        const bodies = responses.map(response => JSON.parse(response.body));
+        expect(bodies).to.deep.equal([expected, expected, {}, {}]);
+      });
+    });
+    /** @test {scheduledEvent} */
+    it('should build scheduled events', () => {
+      expect(scheduledEvent()).to.include({ source: 'aws.events', 'detail-type': 'Scheduled Event' });
+      expect(scheduledEvent({ warmer: true }).detail).to.deep.equal({ warmer: true });
+    });
+  });
+});
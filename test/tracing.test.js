@@ -0,0 +1,140 @@
+/*eslint-disable no-unused-expressions */
+
+// Chai
+import { expect } from 'chai';
+
+// Module to test
+import {
+  NoopTracer,
+  InMemoryTracer,
+  SpanStatusCode,
+  endSpan,
+  withSpan,
+  extractTraceContext,
+  formatTraceparent
+} from '../src/tracing';
+
+describe('tracing', () => {
+  const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+  const spanId = '00f067aa0ba902b7';
+
+  describe('NoopTracer', () => {
+    /** @test {NoopTracer#startSpan} */
+    it('should start spans that record nothing but pass on the parent context', () => {
+      const tracer = new NoopTracer();
+      const parent = { traceId, spanId, traceFlags: 1 };
+      const span = tracer.startSpan('child', { parent });
+      const root = tracer.startSpan('root');
+      expect(span.spanContext()).to.equal(parent);
+      expect(root.spanContext().traceId).to.match(/^0{32}$/);
+      expect(span.isRecording()).to.be.false;
+      expect(span.setAttribute('a', 1).setAttributes({}).addEvent('e').recordException(new Error()).setStatus({})).to.equal(span);
+      expect(() => span.end()).to.not.throw();
+    });
+  });
+
+  describe('InMemoryTracer', () => {
+    /** @test {InMemoryTracer#startSpan} */
+    it('should keep the spans it starts', () => {
+      const tracer = new InMemoryTracer();
+      const root = tracer.startSpan('root', { attributes: { a: 1 } });
+      const child = tracer.startSpan('child', { parent: root.spanContext() });
+      child.setAttribute('b', 2).setAttributes({ c: 'c' }).addEvent('event');
+      expect(tracer.spans).to.deep.equal([root, child]);
+      expect(root.traceId).to.match(/^[0-9a-f]{32}$/);
+      expect(root.spanId).to.match(/^[0-9a-f]{16}$/);
+      expect(root.parentSpanId).to.be.undefined;
+      expect(child).to.include({ traceId: root.traceId, parentSpanId: root.spanId, traceFlags: 1 });
+      expect(root.attributes).to.deep.equal({ a: 1 });
+      expect(Object.keys(child.attributes).join()).to.equal('b,c');
+      expect(child.events.map(event => event.name)).to.deep.equal(['event']);
+      expect(child.isRecording()).to.be.true;
+      child.end();
+      const { endTime } = child;
+      child.end();
+      expect(child.isRecording()).to.be.false;
+      expect(child.endTime).to.equal(endTime);
+      tracer.reset();
+      expect(tracer.spans).to.be.empty;
+    });
+  });
+
+  describe('withSpan()', () => {
+    /** @test {withSpan} */
+    it('should end the span with the outcome of the call', () => {
+      const tracer = new InMemoryTracer();
+      const [ok, failed, thrown] = ['ok', 'failed', 'thrown'].map(name => tracer.startSpan(name));
+      return Promise.all([
+        withSpan(ok, () => 'result'),
+        withSpan(failed, () => {
+          throw new TypeError('bad');
+        }).catch(e => e),
+        withSpan(thrown, () => Promise.reject('reason')).catch(e => e)
+      ]).then(([result, error, reason]) => {
+        expect(result).to.equal('result');
+        expect(error).to.be.an.instanceof(TypeError);
+        expect(reason).to.equal('reason');
+        expect(ok).to.include({ ended: true });
+        expect(ok.status).to.deep.equal({ code: SpanStatusCode.UNSET });
+        expect(failed.status).to.deep.equal({ code: SpanStatusCode.ERROR, message: 'bad' });
+        expect(failed.events[0].attributes).to.include({ 'exception.type': 'TypeError', 'exception.message': 'bad' });
+        expect(thrown.events[0].attributes).to.include({ 'exception.message': 'reason' });
+      });
+    });
+    /** @test {endSpan} */
+    it('should end spans with falsy errors as failed', () => {
+      const span = new InMemoryTracer().startSpan('span');
+      endSpan(span, null);
+      expect(span.status).to.deep.equal({ code: SpanStatusCode.ERROR, message: null });
+    });
+  });
+
+  describe('extractTraceContext()', () => {
+    const xrayRoot = '1-5759e988-bd862e3fe1be46a994272793';
+    /** @test {extractTraceContext} */
+    it('should extract a W3C traceparent header', () => {
+      const headers = { TraceParent: `00-${traceId}-${spanId}-01` };
+      expect(extractTraceContext({ headers }, {})).to.deep.equal({ traceId, spanId, traceFlags: 1 });
+      expect(extractTraceContext({ headers: { traceparent: `00-${traceId}-${spanId}-00` } }, {})).to.include({ traceFlags: 0 });
+    });
+    /** @test {extractTraceContext} */
+    it('should extract an AWS X-Ray header', () => {
+      const headers = { 'X-Amzn-Trace-Id': `Root=${xrayRoot}; Parent=${spanId};Sampled=1` };
+      expect(extractTraceContext({ headers }, {})).to.deep.equal({
+        traceId: '5759e988bd862e3fe1be46a994272793',
+        spanId,
+        traceFlags: 1
+      });
+    });
+    /** @test {extractTraceContext} */
+    it('should fall back to the trace ID set by AWS Lambda', () => {
+      const env = { _X_AMZN_TRACE_ID: `Root=${xrayRoot};Parent=${spanId};Sampled=0` };
+      expect(extractTraceContext({}, env)).to.include({ spanId, traceFlags: 0 });
+      expect(extractTraceContext(undefined, env)).to.include({ spanId });
+      expect(extractTraceContext({ headers: { traceparent: `00-${traceId}-${spanId}-01` } }, env)).to.include({ traceId });
+    });
+    /** @test {extractTraceContext} */
+    it('should ignore invalid headers', () => {
+      const invalid = [
+        { traceparent: 'nonsense' },
+        { traceparent: `ff-${traceId}-${spanId}-01` },
+        { traceparent: `00-${'0'.repeat(traceId.length)}-${spanId}-01` },
+        { traceparent: `00-${traceId}-${'0'.repeat(spanId.length)}-01` },
+        { 'x-amzn-trace-id': `Root=${xrayRoot}` },
+        { 'x-amzn-trace-id': `Root=2-5759e988-bd862e3fe1be46a994272793;Parent=${spanId}` },
+        { 'x-amzn-trace-id': 'Self=1' }
+      ];
+      invalid.forEach(headers => expect(extractTraceContext({ headers }, {})).to.be.undefined);
+      expect(extractTraceContext({ headers: 'traceparent' }, {})).to.be.undefined;
+      expect(extractTraceContext(null, {})).to.be.undefined;
+    });
+  });
+
+  describe('formatTraceparent()', () => {
+    /** @test {formatTraceparent} */
+    it('should format a W3C traceparent header', () => {
+      expect(formatTraceparent({ traceId, spanId, traceFlags: 1 })).to.equal(`00-${traceId}-${spanId}-01`);
+      expect(formatTraceparent({ traceId, spanId, traceFlags: 0 })).to.equal(`00-${traceId}-${spanId}-00`);
+    });
+  });
+});
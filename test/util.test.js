@@ -0,0 +1,55 @@
+/*eslint-disable no-unused-expressions */
+
+// Chai
+import { expect } from 'chai';
+
+// Module to test
+import { getPath, stableStringify } from '../src/util';
+
+describe('util', () => {
+
+  describe('getPath()', () => {
+    const event = {
+      operation: 'top',
+      'dotted.key': 'literal',
+      requestContext: { http: { method: 'GET' } },
+      Records: [{ body: 'first' }, { body: 'second' }]
+    };
+    /** @test {getPath} */
+    it('should get a top-level key', () => {
+      expect(getPath(event, 'operation')).to.equal('top');
+    });
+    /** @test {getPath} */
+    it('should prefer an own key containing dots over a deep path', () => {
+      expect(getPath(event, 'dotted.key')).to.equal('literal');
+    });
+    /** @test {getPath} */
+    it('should get a dotted path', () => {
+      expect(getPath(event, 'requestContext.http.method')).to.equal('GET');
+    });
+    /** @test {getPath} */
+    it('should get a path with array indices', () => {
+      expect(getPath(event, 'Records[1].body')).to.equal('second');
+    });
+    /** @test {getPath} */
+    it('should return undefined for missing intermediate values', () => {
+      expect(getPath(event, 'requestContext.identity.sourceIp')).to.be.undefined;
+      expect(getPath(event, 'Records[5].body')).to.be.undefined;
+      expect(getPath(null, 'operation')).to.be.undefined;
+    });
+    /** @test {getPath} */
+    it('should call an extractor function with the object', () => {
+      expect(getPath(event, e => e.Records.length)).to.equal(2);
+    });
+  });
+
+  describe('stableStringify()', () => {
+    /** @test {stableStringify} */
+    it('should serialize objects with their keys sorted', () => {
+      expect(stableStringify({ b: 1, a: [{ d: null, c: 'c' }] })).to.equal('{"a":[{"c":"c","d":null}],"b":1}');
+      expect(stableStringify({ a: 1, b: 2 })).to.equal(stableStringify({ b: 2, a: 1 }));
+      expect(stableStringify('id')).to.equal('"id"');
+      expect(stableStringify(undefined)).to.equal('');
+    });
+  });
+});